@@ -21,74 +21,476 @@
   const muteBtn = document.getElementById('muteBtn');
   const scoreEntry = document.getElementById('score-entry');
   const usernameInput = document.getElementById('usernameInput');
+  const usernameInput2 = document.getElementById('usernameInput2');
   const submitScoreBtn = document.getElementById('submitScoreBtn');
   const scoreboardEl = document.getElementById('scoreboard');
   const globalScoreBtn = document.getElementById('globalScoreBtn');
+  const controlsListEl = document.getElementById('controlsList');
+  const controlsBtn = document.getElementById('controlsBtn');
+  const bindingsPanel = document.getElementById('bindings-panel');
+  const bindingsRowsEl = document.getElementById('bindingsRows');
+  const bindTabsEl = document.getElementById('bindTabs');
+  const padSlotSelect = document.getElementById('padSlotSelect');
+  const modeSelectEl = document.getElementById('modeSelect');
+  const dailyInfoEl = document.getElementById('dailyInfo');
+  const arenaPickerEl = document.getElementById('arenaPicker');
+  const difficultyPickerEl = document.getElementById('difficultyPicker');
+  const arenaSelect = document.getElementById('arenaSelect');
+  const difficultySelect = document.getElementById('difficultySelect');
+  const deadzoneInput = document.getElementById('deadzoneInput');
+  const deadzoneValueEl = document.getElementById('deadzoneValue');
+  const resetBindingsBtn = document.getElementById('resetBindingsBtn');
+  const closeBindingsBtn = document.getElementById('closeBindingsBtn');
+  const shopBtn = document.getElementById('shopBtn');
+  const shopPanel = document.getElementById('shop-panel');
+  const shopEggsEl = document.getElementById('shopEggs');
+  const shopRowsEl = document.getElementById('shopRows');
+  const refundAllBtn = document.getElementById('refundAllBtn');
+  const closeShopBtn = document.getElementById('closeShopBtn');
+  const continueBtn = document.getElementById('continueBtn');
+  const savesBtn = document.getElementById('savesBtn');
+  const savesPanel = document.getElementById('saves-panel');
+  const saveRowsEl = document.getElementById('saveRows');
+  const exportSaveBtn = document.getElementById('exportSaveBtn');
+  const importSaveBtn = document.getElementById('importSaveBtn');
+  const closeSavesBtn = document.getElementById('closeSavesBtn');
+  const saveFileInput = document.getElementById('saveFileInput');
+  const topBar = document.getElementById('top-bar');
+  const touchControlsEl = document.getElementById('touch-controls');
+  const exportReplayBtn = document.getElementById('exportReplayBtn');
+  const watchReplayBtn = document.getElementById('watchReplayBtn');
+  const replayFileInput = document.getElementById('replayFileInput');
+  const replayBar = document.getElementById('replay-bar');
+  const replayPauseBtn = document.getElementById('replayPauseBtn');
+  const replayStepBtn = document.getElementById('replayStepBtn');
+  const replaySpeedSel = document.getElementById('replaySpeed');
+  const replayProgressEl = document.getElementById('replayProgress');
+  const replayExitBtn = document.getElementById('replayExitBtn');
 
   // Game constants
   const GROUND_Y = HEIGHT - 100;
   const GRAVITY = 0.8;
   const FRICTION = 0.8;
   const AIR_FRICTION = 0.95;
-  const MAX_EGGS_STORAGE_KEY = 'fer_vs_fluff_eggs';
-  const HIGHSCORE_KEY = 'fer_vs_fluff_highscores_v1';
-  let globalScoresCache = [];
-  let globalProvider = null; // { submit: async ({name,score,eggs,level})=>void, fetchTop: async ()=>[{name,score,ts}] }
+  const STEP_MS = 1000 / 60; // fixed simulation step; dt === 1 means one 60fps frame
+  const MAX_STEPS_PER_FRAME = 5;
+  const SAVE_KEY = 'fer_vs_fluff_save';
+  // Separate keys from before save games, read once by the first save migration
+  const LEGACY_KEYS = {
+    eggs: 'fer_vs_fluff_eggs',
+    highscores: 'fer_vs_fluff_highscores_v1',
+    shop: 'fer_vs_fluff_shop',
+    bindings: 'fer_vs_fluff_bindings_v2',
+    bindingsV1: 'fer_vs_fluff_bindings_v1'
+  };
+  let globalProvider = null; // see registerScoreProvider
+  const globalBoard = { status: 'idle', category: 'waves', page: 0, rows: [], total: 0, mine: null }; // status: idle | loading | ok | error; mine: { id, score, rank } once submitted
+  const GLOBAL_PAGE_SIZE = 10;
+  const SCORE_OUTBOX_KEY = 'fer_vs_fluff_score_outbox';
+  const KIOSK_SCORES_KEY = 'fer_vs_fluff_kiosk_scores';
+  const OUTBOX_RETRY_MS = 5000; // doubles after each failed attempt, up to the max
+  const OUTBOX_RETRY_MAX_MS = 5 * 60 * 1000;
+  const OUTBOX_SENT_MEMORY = 50; // submission ids remembered for dedupe
 
   // Input state
   const keysDown = new Set();
+  const keysTapped = new Set(); // pressed since the last tick; a tap shorter than a tick still counts once
+
+  // Logical actions. The sim only ever sees these (as a per-tick bitmask + analog moveX), never raw keys.
+  const ACTIONS = ['left', 'right', 'jump', 'kiss', 'flower', 'bomb', 'perk', 'pause', 'perkNext', 'hug', 'dash', 'block', 'down']; // append only: bit order is in replays
+  const ACTION_BIT = Object.fromEntries(ACTIONS.map((a, i) => [a, 1 << i]));
+  const ACTION_LABELS = { left: 'Move Left', right: 'Move Right', jump: 'Jump', kiss: 'Kiss', flower: 'Flower', bomb: 'Bomb', perk: 'Use Perk', pause: 'Pause', perkNext: 'Next Perk', hug: 'Hug', dash: 'Air Dash', block: 'Block', down: 'Down' };
+  // Per player slot. Keyboard keys are lowercased KeyboardEvent.key values; pad entries are
+  // standard-mapping button indices; gamepad is which connected pad the player reads (-1 = none).
+  const DEFAULT_BINDINGS = [
+    {
+      keys: { left: ['arrowleft', 'a'], right: ['arrowright', 'd'], jump: ['arrowup', 'w', ' '], kiss: ['z', 'j'], flower: ['x', 'k'], bomb: ['c', 'l'], perk: ['q'], pause: ['p'], perkNext: ['e'],
+        hug: ['v', 'h'], dash: ['shift', 'i'], block: ['f', 'o'], down: ['arrowdown', 's'] },
+      pad: { left: [14], right: [15], jump: [0], kiss: [2], flower: [3], bomb: [1], perk: [4], pause: [9], perkNext: [5], hug: [7], dash: [11], block: [6], down: [13] },
+      deadzone: 0.25,
+      gamepad: 0
+    },
+    {
+      keys: { left: ['arrowleft'], right: ['arrowright'], jump: ['arrowup'], kiss: ['m'], flower: [','], bomb: ['.'], perk: ['/'], pause: ['p'], perkNext: ['n'],
+        hug: [';'], dash: ['enter'], block: ["'"], down: ['arrowdown'] },
+      pad: { left: [14], right: [15], jump: [0], kiss: [2], flower: [3], bomb: [1], perk: [4], pause: [9], perkNext: [5], hug: [7], dash: [11], block: [6], down: [13] },
+      deadzone: 0.25,
+      gamepad: 1
+    }
+  ];
+  const MAX_PLAYERS = DEFAULT_BINDINGS.length;
+  const held = (input, action) => (input.mask & ACTION_BIT[action]) !== 0;
+
+  const MODES = ['solo', 'coop', 'versus', 'daily', 'survival'];
+  // Difficulty levels: how fast plushes react, attack and dodge, and how long attacks are telegraphed (see Plush AI)
+  const DIFFICULTIES = {
+    easy: { name: 'Easy', reactionMs: 480, aggression: 0.7, dodge: 0.3, windup: 1.3 },
+    normal: { name: 'Normal', reactionMs: 260, aggression: 1, dodge: 0.7, windup: 1 },
+    hard: { name: 'Hard', reactionMs: 120, aggression: 1.3, dodge: 1, windup: 0.8 }
+  };
+  // Replays: every tick stores [actionMask, moveX * 100] per player, run-length encoded as [mask, moveX, ticks]
+  const REPLAY_VERSION = 8;
+  // Run summaries: what a scoreboard server checks a submitted score against (see server/run-checks.js)
+  const RUN_SUMMARY_VERSION = 2;
+  // Version 1 logs stored raw key bitmasks in this order
+  const V1_RECORDED_KEYS = ['arrowleft', 'a', 'arrowright', 'd', 'arrowup', 'w', ' ', 'z', 'j', 'x', 'k', 'c', 'l', 'q'];
 
   // Utility
   const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-  const rand = (min, max) => Math.random() * (max - min) + min;
-  const randInt = (min, max) => Math.floor(rand(min, max + 1));
+  const lerp = (a, b, t) => a + (b - a) * t;
+  // Simulation randomness defaults to the seeded run RNG; pass Math.random for purely visual effects.
+  const rand = (min, max, rng = state.rng) => rng() * (max - min) + min;
+  const randInt = (min, max, rng = state.rng) => Math.floor(rand(min, max + 1, rng));
   const now = () => performance.now();
   const TAU = Math.PI * 2;
 
-  // Eggs persistence
-  let eggCount = 0;
-  try {
-    eggCount = parseInt(localStorage.getItem(MAX_EGGS_STORAGE_KEY) || '0', 10) || 0;
-  } catch {
-    eggCount = 0;
+  // Seedable PRNG (mulberry32): same seed + same inputs => same run
+  function makeRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+  // 53-bit string hash (cyrb53), as hex; server/run-checks.js has the same one
+  function hashString(str) {
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+  }
+  function randomSeed() { return (Math.random() * 0x100000000) >>> 0; }
+  function seedFromUrl() {
+    const raw = new URLSearchParams(location.search).get('seed');
+    const n = raw == null ? NaN : Number(raw);
+    return Number.isFinite(n) ? n >>> 0 : null;
+  }
+
+  // Egg shop catalogue: eggs buy permanent upgrades (levels with rising prices) and outfit recolors for Fer.
+  // Refunds give the full price back. Scores count eggs earned, so spending never lowers them.
+  const UPGRADES = [
+    { id: 'maxHealth', icon: '❤️', name: 'Big Heart', desc: '+20 max health', prices: [3, 5, 8] },
+    { id: 'kissCooldown', icon: '💋', name: 'Quick Kisses', desc: 'Kiss cooldown -40ms', prices: [2, 4, 6] },
+    { id: 'bombRadius', icon: '💣', name: 'Big Boom', desc: 'Bomb blast radius +20', prices: [3, 5, 7] },
+    { id: 'extraProjectile', icon: '💕', name: 'Kiss Spread', desc: 'One more heart per kiss', prices: [6, 10] }
+  ];
+  const COSMETICS = {
+    dress: [
+      { id: 'pink', name: 'Pink', color: '#ff9ac6', price: 0 },
+      { id: 'coral', name: 'Coral', color: '#ff8c69', price: 2 },
+      { id: 'sky', name: 'Sky', color: '#8ecae6', price: 2 },
+      { id: 'lavender', name: 'Lavender', color: '#cdb4db', price: 2 },
+      { id: 'ruby', name: 'Ruby', color: '#e63946', price: 3 }
+    ],
+    boots: [
+      { id: 'brown', name: 'Brown', color: '#8b4513', price: 0 },
+      { id: 'black', name: 'Black', color: '#2b2b2b', price: 2 },
+      { id: 'red', name: 'Red', color: '#c0392b', price: 2 },
+      { id: 'white', name: 'White', color: '#f1f1f1', price: 2 },
+      { id: 'gold', name: 'Gold', color: '#e0b000', price: 5 }
+    ]
+  };
+  const COSMETIC_SLOTS = Object.keys(COSMETICS);
+  const DEFAULT_OUTFIT = { dress: 'pink', boots: 'brown' };
+  const cosmeticFor = (slot, id) => COSMETICS[slot].find(c => c.id === id) || COSMETICS[slot][0];
+
+  // Save games: one versioned record in localStorage. Settings and the local highscores are shared;
+  // eggs, shop purchases, unlocks, wave progress and stats live in one of SAVE_SLOTS slots.
+  // Older records are brought up to date one version at a time by SAVE_MIGRATIONS.
+  const SAVE_VERSION = 1;
+  const SAVE_SLOTS = 3;
+  const SAVE_MIGRATIONS = [
+    // 0 -> 1: eggs, highscores, shop and bindings each had their own key (left in place, no longer read)
+    () => {
+      const read = key => { try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch { return null; } };
+      const eggs = parseInt(read(LEGACY_KEYS.eggs), 10) || 0;
+      const shop = read(LEGACY_KEYS.shop);
+      return {
+        version: 1,
+        active: 0,
+        settings: { bindings: read(LEGACY_KEYS.bindings) || { players: [read(LEGACY_KEYS.bindingsV1)] } },
+        highscores: read(LEGACY_KEYS.highscores),
+        slots: [shop && shop.version === 1 ? { ...shop, eggs } : { eggs, eggsEarned: eggs }]
+      };
+    }
+  ];
+  function freshSlot() {
+    return {
+      eggs: 0,
+      eggsEarned: 0,
+      upgrades: {}, // upgrade id -> level
+      owned: [], // 'slot:id' of bought outfit pieces
+      outfit: { ...DEFAULT_OUTFIT },
+      unlocks: {}, // perk id -> true
+      progress: { solo: 0, coop: 0 }, // furthest wave index reached per mode
+      stats: { runs: 0, wavesCleared: 0, losses: 0, matches: 0, playMs: 0 },
+      updatedAt: 0
+    };
+  }
+  // Anything unknown or out of range falls back to the fresh value; a missing slot stays empty (null)
+  function sanitizeSlot(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const slot = freshSlot();
+    const count = v => Number.isInteger(v) && v >= 0;
+    if (count(raw.eggs)) slot.eggs = raw.eggs;
+    slot.eggsEarned = count(raw.eggsEarned) ? raw.eggsEarned : slot.eggs;
+    for (const u of UPGRADES) {
+      const level = raw.upgrades?.[u.id];
+      if (Number.isInteger(level)) slot.upgrades[u.id] = clamp(level, 0, u.prices.length);
+    }
+    if (Array.isArray(raw.owned)) slot.owned = raw.owned.filter(key => COSMETIC_SLOTS.some(s => COSMETICS[s].some(c => key === `${s}:${c.id}`)));
+    for (const s of COSMETIC_SLOTS) {
+      const item = cosmeticFor(s, raw.outfit?.[s]);
+      if (item.id === raw.outfit?.[s] && (item.price === 0 || slot.owned.includes(`${s}:${item.id}`))) slot.outfit[s] = item.id;
+    }
+    if (raw.unlocks && typeof raw.unlocks === 'object') for (const id of Object.keys(raw.unlocks)) if (raw.unlocks[id] === true) slot.unlocks[id] = true;
+    for (const mode of Object.keys(slot.progress)) if (count(raw.progress?.[mode])) slot.progress[mode] = raw.progress[mode];
+    for (const stat of Object.keys(slot.stats)) if (count(raw.stats?.[stat])) slot.stats[stat] = raw.stats[stat];
+    if (Number.isFinite(raw.updatedAt)) slot.updatedAt = raw.updatedAt;
+    return slot;
+  }
+  function sanitizeSave(raw) {
+    const settings = raw.settings || {};
+    const active = Number.isInteger(raw.active) ? clamp(raw.active, 0, SAVE_SLOTS - 1) : 0;
+    const slots = Array.from({ length: SAVE_SLOTS }, (_, i) => sanitizeSlot(Array.isArray(raw.slots) ? raw.slots[i] : null));
+    if (!slots[active]) slots[active] = freshSlot();
+    return {
+      version: SAVE_VERSION,
+      active,
+      settings: {
+        muted: settings.muted === true,
+        mode: MODES.includes(settings.mode) ? settings.mode : 'solo',
+        arena: typeof settings.arena === 'string' && /^[\w-]{1,32}$/.test(settings.arena) ? settings.arena : 'auto', // checked against ARENAS when used
+        difficulty: Object.hasOwn(DIFFICULTIES, settings.difficulty) ? settings.difficulty : 'normal',
+        bindings: settings.bindings && typeof settings.bindings === 'object' ? settings.bindings : null
+      },
+      highscores: Array.isArray(raw.highscores) ? raw.highscores.filter(s => s && typeof s.name === 'string' && Number.isFinite(s.score)) : [],
+      // Today's Daily Fluff attempt: { date, score } (score stays null until the run ends)
+      daily: raw.daily && /^\d{4}-\d{2}-\d{2}$/.test(raw.daily.date) ? { date: raw.daily.date, score: Number.isInteger(raw.daily.score) ? raw.daily.score : null } : null,
+      slots
+    };
   }
+  // Returns an up-to-date save, or a reason it can't be read
+  function migrateSave(raw) {
+    if (!raw || typeof raw !== 'object' || !Number.isInteger(raw.version) || raw.version < 0) return 'not a save file';
+    if (raw.version > SAVE_VERSION) return 'made by a newer version of the game';
+    let data = raw;
+    while (data.version < SAVE_VERSION) data = SAVE_MIGRATIONS[data.version](data);
+    return sanitizeSave(data);
+  }
+
+  const Save = (() => {
+    let data = load();
+    function load() {
+      let raw = null;
+      try { raw = JSON.parse(localStorage.getItem(SAVE_KEY) || 'null'); } catch {}
+      const save = migrateSave(raw || { version: 0 });
+      if (typeof save !== 'string') return save;
+      console.warn(`Save game ignored: ${save}`);
+      return sanitizeSave({});
+    }
+    function write() {
+      data.slots[data.active].updatedAt = Date.now();
+      try { localStorage.setItem(SAVE_KEY, JSON.stringify(data)); } catch {}
+    }
+    // Switching to an empty slot starts a fresh one
+    function selectSlot(i) {
+      if (!data.slots[i]) data.slots[i] = freshSlot();
+      data.active = i;
+      write();
+    }
+    function clearSlot(i) {
+      data.slots[i] = i === data.active ? freshSlot() : null;
+      write();
+    }
+    // Replaces everything with an exported save; returns an error message or null
+    function importData(raw) {
+      if (raw && raw.version === 0) return 'not a save file';
+      const save = migrateSave(raw);
+      if (typeof save === 'string') return save;
+      data = save;
+      write();
+      return null;
+    }
+    return {
+      write, selectSlot, clearSlot, importData,
+      slot: () => data.slots[data.active],
+      slots: () => data.slots,
+      activeIndex: () => data.active,
+      settings: () => data.settings,
+      highscores: () => data.highscores,
+      setHighscores(list) { data.highscores = list; write(); },
+      daily: () => data.daily,
+      setDaily(d) { data.daily = d; write(); },
+      exportData: () => data
+    };
+  })();
+
+  // Eggs and the rest of the player's progress come from the active save slot
+  let profile = Save.slot();
+  let eggCount = profile.eggs;
   function setEggs(n) {
     eggCount = Math.max(0, n);
+    profile.eggs = eggCount;
     eggsEl.textContent = `🥚 ${eggCount}`;
-    try {
-      localStorage.setItem(MAX_EGGS_STORAGE_KEY, String(eggCount));
-    } catch {}
+    Save.write();
   }
   setEggs(eggCount);
+  function earnEggs(n) {
+    profile.eggsEarned += n;
+    setEggs(eggCount + n);
+  }
+  // Run stats; replays don't count
+  function recordStat(name, n = 1) {
+    if (state.replay) return;
+    profile.stats[name] += n;
+    Save.write();
+  }
+
+  // Egg shop
+  const upgradeLevel = id => profile.upgrades[id] || 0;
+  function buyUpgrade(id) {
+    const u = UPGRADES.find(x => x.id === id);
+    const level = upgradeLevel(id);
+    if (!u || level >= u.prices.length) return;
+    if (eggCount < u.prices[level]) { showToast(`Needs ${u.prices[level]} 🥚`); return; }
+    profile.upgrades[id] = level + 1;
+    setEggs(eggCount - u.prices[level]);
+    AudioEngine.chord([523.25, 659.25, 783.99], 0.15, 'triangle', 0.6);
+  }
+  // Refunds the most recent level
+  function refundUpgrade(id) {
+    const u = UPGRADES.find(x => x.id === id);
+    const level = upgradeLevel(id);
+    if (!u || level <= 0) return;
+    profile.upgrades[id] = level - 1;
+    setEggs(eggCount + u.prices[level - 1]);
+  }
+  // Buys the outfit piece if needed, then wears it
+  function wearCosmetic(slot, id) {
+    const item = cosmeticFor(slot, id);
+    const key = `${slot}:${item.id}`;
+    if (item.price > 0 && !profile.owned.includes(key)) {
+      if (eggCount < item.price) { showToast(`Needs ${item.price} 🥚`); return; }
+      profile.owned.push(key);
+      setEggs(eggCount - item.price);
+      AudioEngine.chord([659.25, 783.99, 987.77], 0.15, 'triangle', 0.6);
+    }
+    profile.outfit[slot] = item.id;
+    Save.write();
+  }
+  function refundAll() {
+    let eggs = 0;
+    for (const u of UPGRADES) for (let i = 0; i < upgradeLevel(u.id); i++) eggs += u.prices[i];
+    for (const key of profile.owned) {
+      const [slot, id] = key.split(':');
+      eggs += cosmeticFor(slot, id).price;
+    }
+    Object.assign(profile, { upgrades: {}, owned: [], outfit: { ...DEFAULT_OUTFIT } });
+    setEggs(eggCount + eggs);
+    showToast(eggs ? `Refunded ${eggs} 🥚` : 'Nothing to refund');
+  }
 
-  // Highscores (local storage; can be extended later to remote)
-  function readScores() { try { return JSON.parse(localStorage.getItem(HIGHSCORE_KEY) || '[]'); } catch { return []; } }
-  function writeScores(list) { try { localStorage.setItem(HIGHSCORE_KEY, JSON.stringify(list)); } catch {} }
+  // Highscores (kept in the save; can be extended later to remote)
+  function readScores() { return Save.highscores().slice(); }
+  function writeScores(list) { Save.setHighscores(list); }
+  // Leaderboard categories: regular runs share 'waves', survival has its own (seconds survived, shown as a time)
+  // and each day's Daily Fluff gets one. Easy and Hard runs get boards of their own ('waves-hard', 'survival-easy');
+  // the daily is always Normal. The board shows the selected mode's category.
+  const difficultySuffix = difficulty => (difficulty && difficulty !== 'normal' ? `-${difficulty}` : '');
+  const scoreCategory = summary => (summary.date ? `daily-${summary.date}` : (summary.mode === 'survival' ? 'survival' : 'waves') + difficultySuffix(summary.difficulty));
+  const viewedCategory = () => (state.mode === 'daily' ? `daily-${dailyDate()}` : (state.mode === 'survival' ? 'survival' : 'waves') + difficultySuffix(settingsDifficulty()));
+  function categoryTitle(category) {
+    if (category.startsWith('daily-')) return ` · Daily Fluff ${category.slice('daily-'.length)}`;
+    const [base, difficulty] = category.split('-');
+    return (base === 'survival' ? ' · Survival' : '') + (difficulty ? ` · ${DIFFICULTIES[difficulty]?.name ?? difficulty}` : '');
+  }
+  const survivalCategory = category => category === 'survival' || category.startsWith('survival-');
+  const scoreText = (score, category) => (survivalCategory(category) ? formatTicks(score * 60) : `${score}`);
   function escapeHtml(s){ return s.replace(/[&<>"']/g, c=>({"&":"&amp;","<":"&lt;",">":"&gt;","\"":"&quot;","'":"&#39;"}[c])); }
   function renderScores() {
-    const scores = readScores().sort((a,b)=>b.score-a.score).slice(0, 50);
-    if (!scores.length) { scoreboardEl.style.display='none'; return; }
+    const category = viewedCategory();
+    const scores = readScores().filter(s => (s.category || 'waves') === category).sort((a,b)=>b.score-a.score).slice(0, 50);
+    if (!scores.length && !globalProvider) { scoreboardEl.style.display='none'; return; }
     scoreboardEl.style.display = 'block';
-    const rows = scores.map((s,i)=>`<div>${i+1}. ${escapeHtml(s.name)} — ${s.score}</div>`).join('');
-    const hasGlobal = globalScoresCache.length > 0;
-    const global = hasGlobal
-      ? '<h3>Global Scoreboard</h3>' + globalScoresCache.slice(0, 50).map((s,i)=>`<div>${i+1}. ${escapeHtml(s.name)} — ${s.score}</div>`).join('')
-      : (globalProvider ? '<div style="margin-top:8px;color:#9aa0a6;font-size:12px;">Global scoreboard is enabled. Submit to populate.</div>' : '<div style="margin-top:8px;color:#9aa0a6;font-size:12px;">Global scoreboard not configured.</div>');
-    scoreboardEl.innerHTML = '<div style="margin-bottom:6px;"><strong>Local Scoreboard</strong></div>' + rows + global;
+    const rows = scores.length ? scores.map((s,i)=>`<div title="${scoreDetails(s)}">${i+1}. ${escapeHtml(s.name)} — ${scoreText(s.score, category)}</div>`).join('') : '<div class="score-note">No local scores yet.</div>';
+    scoreboardEl.innerHTML = `<div style="margin-bottom:6px;"><strong>Local Scoreboard${categoryTitle(category)}</strong></div>` + rows + renderGlobalBoard();
+  }
+  // Hover text for a local entry (older entries have no breakdown)
+  function scoreDetails(s) {
+    if (s.bestCombo === undefined || survivalCategory(s.category || 'waves')) return '';
+    return `${s.waves} cleared · best combo x${s.bestCombo} · ${s.noDamageClears} no-damage · time +${s.timeBonus} · bombs +${s.bombPoints} · ${s.dodges} dodges`;
   }
+  function renderGlobalBoard() {
+    if (!globalProvider) return '<div class="score-note">Global scoreboard not configured.</div>';
+    const b = globalBoard;
+    const heading = `<h3>${escapeHtml((globalProvider.title || 'Global Scoreboard') + categoryTitle(b.category))}</h3>`;
+    const pending = readOutbox().pending.length;
+    const waiting = pending ? `<div class="score-note">${pending} score${pending === 1 ? '' : 's'} waiting to be sent.</div>` : '';
+    if (b.status === 'error') return `${heading}<div class="score-note">Couldn't reach the global scoreboard. <button class="chip" data-retry>Retry</button></div>${waiting}`;
+    if (!b.rows.length) return `${heading}<div class="score-note">${b.status === 'ok' ? 'No global scores yet. Submit to populate.' : 'Loading…'}</div>${waiting}`;
+    const offset = b.page * GLOBAL_PAGE_SIZE;
+    const rows = b.rows.map((s, i) => {
+      const me = b.mine && s.id && s.id === b.mine.id;
+      return `<div${me ? ' class="me"' : ''}>${offset + i + 1}. ${escapeHtml(s.name)} — ${scoreText(s.score, b.category)}</div>`;
+    }).join('');
+    const pages = Math.max(1, Math.ceil(b.total / GLOBAL_PAGE_SIZE));
+    const pager = `<div class="score-pager"><button class="chip" data-page="${b.page - 1}"${b.page > 0 ? '' : ' disabled'}>‹</button>` +
+      `<span>${b.status === 'loading' ? 'Loading…' : `Page ${b.page + 1} of ${pages}`}</span>` +
+      `<button class="chip" data-page="${b.page + 1}"${b.page + 1 < pages ? '' : ' disabled'}>›</button></div>`;
+    const rank = b.mine && b.mine.rank ? `<div class="score-note">Your rank: #${b.mine.rank} of ${b.total}</div>` : '';
+    return `${heading}${rank}${rows}${pager}${waiting}`;
+  }
+  scoreboardEl.addEventListener('click', (e) => {
+    const btn = e.target.closest && e.target.closest('button');
+    if (!btn || btn.disabled) return;
+    if (btn.dataset.page !== undefined) fetchGlobalScores(Number(btn.dataset.page));
+    else if (btn.dataset.retry !== undefined) { flushOutbox(); fetchGlobalScores(); }
+  });
 
-  // Global scores via Supabase REST (no login for players; use anon key). Configure by adding scoreboard_config.json.
+  // Scoreboard providers: scoreboard_config.json picks one with its `provider` field, and the rest of the file
+  // is that provider's options. create(cfg) throws on a bad config. A provider has
+  //   submit(entry)                       entry = { id, name, score, eggs, level, category, summary, breakdown };
+  //                                       failures throw an Error with the HTTP .status
+  //   fetchPage(offset, limit, category)  -> { rows: [{ id, name, score, ts }], total }, best first
+  //   rankOf(score, category)             -> 1-based rank, or null if the backend can't tell
+  //   title                     optional heading for the board
+  const SCORE_PROVIDERS = new Map();
+  function registerScoreProvider(def) { SCORE_PROVIDERS.set(def.id, def); }
   async function loadGlobalProvider() {
+    let cfg;
     try {
       const res = await fetch('scoreboard_config.json', { cache: 'no-store' });
       if (!res.ok) return;
-      const cfg = await res.json();
-      if (cfg.provider === 'supabase' && cfg.supabaseUrl && cfg.supabaseAnonKey && cfg.table) {
-        globalProvider = makeSupabaseProvider(cfg.supabaseUrl, cfg.supabaseAnonKey, cfg.table);
-        await refreshGlobalFromProvider();
-      }
-    } catch {}
+      cfg = await res.json();
+    } catch (err) {
+      if (err instanceof SyntaxError) showToast('scoreboard_config.json is not valid JSON — global scoreboard off', 4000);
+      return;
+    }
+    try {
+      const def = SCORE_PROVIDERS.get(cfg && cfg.provider);
+      if (!def) throw new Error(`unknown provider "${cfg && cfg.provider}" (one of: ${[...SCORE_PROVIDERS.keys()].join(', ')})`);
+      const provider = def.create(cfg);
+      for (const fn of ['submit', 'fetchPage', 'rankOf']) if (typeof provider[fn] !== 'function') throw new Error(`${def.id} provider has no ${fn}()`);
+      globalProvider = provider;
+    } catch (err) {
+      console.warn('scoreboard_config.json:', err);
+      showToast(`scoreboard_config.json: ${err.message} — global scoreboard off`, 5000);
+      return;
+    }
+    flushOutbox();
+    await fetchGlobalScores();
   }
+  const httpError = (what, res) => Object.assign(new Error(`${what} failed (${res.status})`), { status: res.status });
+  // Supabase (PostgREST) table; no login for players, use the anon key
   function makeSupabaseProvider(url, anonKey, table) {
     const base = `${url.replace(/\/$/, '')}/rest/v1/${table}`;
     const headers = {
@@ -97,27 +499,237 @@
       'Content-Type': 'application/json',
       'Accept': 'application/json'
     };
+    // With "Prefer: count=exact" PostgREST reports the full row count in Content-Range: "0-9/123"
+    const totalOf = res => parseInt((res.headers.get('content-range') || '').split('/')[1], 10) || 0;
     return {
-      async submit({ name, score, eggs, level }) {
-        const body = { name, score, eggs, level };
-        const res = await fetch(base, { method: 'POST', headers, body: JSON.stringify(body) });
-        if (!res.ok) throw new Error('submit failed');
+      // A resent submission (say the response was lost) hits the unique submission_id and is ignored
+      async submit({ id, name, score, eggs, level, category, summary, breakdown = {} }) {
+        const body = {
+          submission_id: id, name, score, eggs, level, category, summary,
+          best_combo: breakdown.bestCombo, no_damage_clears: breakdown.noDamageClears, time_bonus: breakdown.timeBonus,
+          bomb_points: breakdown.bombPoints, dodges: breakdown.dodges
+        };
+        const res = await fetch(`${base}?on_conflict=submission_id`, {
+          method: 'POST',
+          headers: { ...headers, 'Prefer': 'resolution=ignore-duplicates,return=minimal' },
+          body: JSON.stringify(body)
+        });
+        if (!res.ok) throw httpError('submit', res);
       },
-      async fetchTop() {
-        const res = await fetch(`${base}?select=name,score,created_at&order=score.desc,created_at.asc&limit=100`, { headers });
-        if (!res.ok) throw new Error('fetch failed');
+      async fetchPage(offset, limit, category) {
+        const res = await fetch(`${base}?select=submission_id,name,score,created_at&flagged=is.false&category=eq.${encodeURIComponent(category)}&order=score.desc,created_at.asc&limit=${limit}&offset=${offset}`, { headers: { ...headers, 'Prefer': 'count=exact' } });
+        if (!res.ok) throw httpError('fetch', res);
         const rows = await res.json();
-        return rows.map(r => ({ name: r.name, score: r.score|0, ts: Date.parse(r.created_at || '')||0 }));
+        return {
+          total: totalOf(res),
+          rows: rows.map(r => ({ id: r.submission_id || null, name: String(r.name), score: r.score|0, ts: Date.parse(r.created_at || '')||0 }))
+        };
+      },
+      // 1 + the number of strictly higher scores (ties share a rank)
+      async rankOf(score, category) {
+        const res = await fetch(`${base}?select=score&score=gt.${score}&flagged=is.false&category=eq.${encodeURIComponent(category)}&limit=1`, { headers: { ...headers, 'Prefer': 'count=exact' } });
+        if (!res.ok) throw httpError('rank', res);
+        return totalOf(res) + 1;
+      }
+    };
+  }
+  // Any REST/JSON backend. Endpoints are "METHOD /path" templates with {offset}, {limit}, {score} and {category} filled in
+  // (rank may be null if there isn't one). `fields` maps entry fields to the server's names, both ways;
+  // `response` says where rows, total and rank sit in the replies, with dots for nesting ("data.items").
+  const REST_DEFAULTS = {
+    endpoints: { submit: 'POST /scores', page: 'GET /scores?offset={offset}&limit={limit}&category={category}', rank: 'GET /scores/rank?score={score}&category={category}' },
+    fields: { id: 'id', name: 'name', score: 'score', eggs: 'eggs', level: 'level', category: 'category', summary: 'summary', breakdown: 'breakdown', ts: 'ts' },
+    response: { rows: 'rows', total: 'total', rank: 'rank' }
+  };
+  const pickPath = (obj, path) => String(path).split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  function makeRestProvider(cfg) {
+    if (typeof cfg.baseUrl !== 'string' || !cfg.baseUrl) throw new Error('needs a baseUrl');
+    const endpoints = { ...REST_DEFAULTS.endpoints, ...cfg.endpoints };
+    const fields = { ...REST_DEFAULTS.fields, ...cfg.fields };
+    const response = { ...REST_DEFAULTS.response, ...cfg.response };
+    for (const [name, spec] of Object.entries(endpoints)) {
+      if (!(name === 'rank' && spec === null) && !/^(GET|POST|PUT) \/\S*$/.test(spec)) throw new Error(`endpoints.${name} should look like "POST /scores"`);
+    }
+    const base = cfg.baseUrl.replace(/\/$/, '');
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json', ...cfg.headers };
+    async function call(name, vars, body) {
+      const [method, path] = endpoints[name].split(' ');
+      const url = base + path.replace(/\{(\w+)\}/g, (_, k) => encodeURIComponent(vars[k]));
+      const res = await fetch(url, { method, headers, body: body && JSON.stringify(body) });
+      if (!res.ok) throw httpError(name, res);
+      return res.status === 204 ? null : res.json().catch(() => null);
+    }
+    return {
+      title: cfg.title,
+      async submit(entry) {
+        await call('submit', {}, Object.fromEntries(['id', 'name', 'score', 'eggs', 'level', 'category', 'summary', 'breakdown'].map(k => [fields[k], entry[k]])));
+      },
+      async fetchPage(offset, limit, category) {
+        const data = await call('page', { offset, limit, category });
+        const rows = Array.isArray(data) ? data : pickPath(data, response.rows);
+        if (!Array.isArray(rows)) throw new Error('page reply has no rows');
+        // Without a total, assume a full page means there's another one
+        const total = Number(Array.isArray(data) ? NaN : pickPath(data, response.total));
+        return {
+          total: Number.isFinite(total) ? total : offset + rows.length + (rows.length === limit ? 1 : 0),
+          rows: rows.map(r => ({
+            id: pickPath(r, fields.id) ?? null,
+            name: String(pickPath(r, fields.name) ?? '?'),
+            score: Number(pickPath(r, fields.score)) | 0,
+            ts: Date.parse(pickPath(r, fields.ts)) || Number(pickPath(r, fields.ts)) || 0
+          }))
+        };
+      },
+      async rankOf(score, category) {
+        if (!endpoints.rank) return null;
+        const data = await call('rank', { score, category });
+        const rank = Number(typeof data === 'number' ? data : pickPath(data, response.rank));
+        return rank >= 1 ? rank : null;
       }
     };
   }
-  async function refreshGlobalFromProvider() {
+  // Kiosk: the board lives in this browser's localStorage, for a single machine at an event with no server.
+  // Unlike the local scoreboard it doesn't belong to any save slot and survives deleting them.
+  function makeLocalProvider(cfg) {
+    const key = cfg.storageKey || KIOSK_SCORES_KEY;
+    const max = Number.isInteger(cfg.maxEntries) && cfg.maxEntries > 0 ? cfg.maxEntries : 1000;
+    const read = () => {
+      try {
+        const list = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(list) ? list.sort((a, b) => b.score - a.score || a.ts - b.ts) : [];
+      } catch { return []; }
+    };
+    return {
+      title: cfg.title || 'Kiosk Scoreboard',
+      async submit({ id, name, score, category = 'waves' }) {
+        const list = read();
+        if (list.some(r => r.id === id)) return;
+        list.push({ id, name, score, category, ts: Date.now() });
+        list.sort((a, b) => b.score - a.score || a.ts - b.ts);
+        try { localStorage.setItem(key, JSON.stringify(list.slice(0, max))); } catch {}
+      },
+      async fetchPage(offset, limit, category) {
+        const list = read().filter(r => (r.category || 'waves') === category);
+        return { rows: list.slice(offset, offset + limit), total: list.length };
+      },
+      async rankOf(score, category) { return read().filter(r => (r.category || 'waves') === category && r.score > score).length + 1; }
+    };
+  }
+  registerScoreProvider({
+    id: 'supabase',
+    create(cfg) {
+      if (!cfg.supabaseUrl || !cfg.supabaseAnonKey || !cfg.table) throw new Error('supabase needs supabaseUrl, supabaseAnonKey and table');
+      return { ...makeSupabaseProvider(cfg.supabaseUrl, cfg.supabaseAnonKey, cfg.table), title: cfg.title };
+    }
+  });
+  registerScoreProvider({ id: 'rest', create: makeRestProvider });
+  // server/scoreboard-server.js speaks the REST provider's default endpoints and fields
+  registerScoreProvider({ id: 'node', create: cfg => makeRestProvider({ baseUrl: cfg.url, title: cfg.title, headers: cfg.headers }) });
+  registerScoreProvider({ id: 'local', create: makeLocalProvider });
+  // Loads one page of the global board; a newer request supersedes any still in flight
+  let globalFetchId = 0;
+  async function fetchGlobalScores(page = globalBoard.page) {
     if (!globalProvider) return;
+    const id = ++globalFetchId;
+    const category = viewedCategory();
+    if (category !== globalBoard.category) Object.assign(globalBoard, { category, page: 0, rows: [], total: 0, mine: null });
+    else globalBoard.page = Math.max(0, page);
+    globalBoard.status = 'loading';
+    renderScores();
     try {
-      globalScoresCache = await globalProvider.fetchTop();
-      renderScores();
+      const { rows, total } = await globalProvider.fetchPage(globalBoard.page * GLOBAL_PAGE_SIZE, GLOBAL_PAGE_SIZE, category);
+      if (id !== globalFetchId) return;
+      Object.assign(globalBoard, { status: 'ok', rows, total });
+    } catch {
+      if (id !== globalFetchId) return;
+      globalBoard.status = 'error';
+    }
+    renderScores();
+  }
+  // Finds where the player's submitted score landed and turns to that page
+  async function showMyRank() {
+    const mine = globalBoard.mine;
+    try {
+      mine.rank = await globalProvider.rankOf(mine.score, globalBoard.category);
+      await fetchGlobalScores(mine.rank ? Math.floor((mine.rank - 1) / GLOBAL_PAGE_SIZE) : globalBoard.page);
+    } catch {
+      await fetchGlobalScores();
+    }
+  }
+
+  // Score outbox: global submissions wait in localStorage until the server has them, so a run finished
+  // offline is sent once the connection is back. Failed sends retry with backoff; ids already sent are
+  // remembered so the same run can't be submitted twice.
+  function readOutbox() {
+    try {
+      const box = JSON.parse(localStorage.getItem(SCORE_OUTBOX_KEY) || 'null');
+      if (box && Array.isArray(box.pending) && Array.isArray(box.sent)) return box;
     } catch {}
+    return { pending: [], sent: [] };
+  }
+  function writeOutbox(box) {
+    try { localStorage.setItem(SCORE_OUTBOX_KEY, JSON.stringify(box)); } catch {}
+  }
+  // Returns what's wrong with an entry, or null
+  function validateGlobalEntry(e) {
+    if (typeof e.id !== 'string' || !e.id) return 'missing run id';
+    if (typeof e.name !== 'string' || !e.name.trim() || e.name.length > 40) return 'bad name';
+    if (!Number.isInteger(e.score) || e.score < 0) return 'bad score';
+    if (!Number.isInteger(e.eggs) || e.eggs < 0 || !Number.isInteger(e.level) || e.level < 1) return 'bad eggs or level';
+    if (!e.summary || e.summary.version !== RUN_SUMMARY_VERSION) return 'missing run summary';
+    return null;
   }
+  // False if this run is already queued or sent
+  function queueGlobalScore(entry) {
+    const box = readOutbox();
+    if (box.sent.includes(entry.id) || box.pending.some(p => p.id === entry.id)) return false;
+    box.pending.push(entry);
+    writeOutbox(box);
+    return true;
+  }
+  let outboxFlush = null;
+  let outboxRetry = { timer: null, delayMs: OUTBOX_RETRY_MS };
+  // Sends queued scores oldest first; resolves to how many are still waiting
+  function flushOutbox() {
+    if (!globalProvider) return Promise.resolve(readOutbox().pending.length);
+    clearTimeout(outboxRetry.timer);
+    return outboxFlush ||= (async () => {
+      let entry;
+      while ((entry = readOutbox().pending[0])) {
+        let rejected = false;
+        try {
+          await globalProvider.submit(entry);
+        } catch (err) {
+          // 4xx (other than timeouts / rate limits) means the server won't ever take it
+          rejected = err.status >= 400 && err.status < 500 && err.status !== 408 && err.status !== 429;
+          if (!rejected) break;
+          showToast(`Global score for ${entry.name} was rejected`, 2000);
+        }
+        const box = readOutbox();
+        box.pending = box.pending.filter(p => p.id !== entry.id);
+        if (!rejected) box.sent = [...box.sent, entry.id].slice(-OUTBOX_SENT_MEMORY);
+        writeOutbox(box);
+      }
+      const left = readOutbox().pending.length;
+      if (left) {
+        outboxRetry.timer = setTimeout(() => flushOutbox().then(afterBackgroundFlush), outboxRetry.delayMs);
+        outboxRetry.delayMs = Math.min(outboxRetry.delayMs * 2, OUTBOX_RETRY_MAX_MS);
+      } else {
+        outboxRetry.delayMs = OUTBOX_RETRY_MS;
+      }
+      return left;
+    })().finally(() => { outboxFlush = null; });
+  }
+  // Once a queued score of ours gets through, show where it ranked
+  function afterBackgroundFlush() {
+    const mine = globalBoard.mine;
+    if (mine && !mine.rank && readOutbox().sent.includes(mine.id)) showMyRank();
+    else renderScores();
+  }
+  window.addEventListener('online', () => {
+    outboxRetry.delayMs = OUTBOX_RETRY_MS;
+    flushOutbox().then(afterBackgroundFlush);
+  });
 
   // Audio engine (Web Audio API, procedurally generated simple tones)
   const AudioEngine = (() => {
@@ -168,16 +780,14 @@
       freqs.forEach((f, i) => playTone(f, dur + i * 0.02, type, 0.3 * gainMul));
     }
 
-    function playMusic() {
+    // motifs: the arena's music, one motif per wave in turn; each is a base frequency and semitone steps from it
+    function playMusic(motifs = ARENAS.get('park').music) {
       ensureCtx();
-      if (musicNode) { try { musicNode.stop(); } catch {} musicNode.disconnect(); }
-      // Classical motifs: Beethoven (Ode to Joy) and Mozart (Eine kleine Nachtmusik) excerpts
-      const odeToJoy = { base: 261.63, seq: [0,0,2,4,4,2,0,-2, -2,0,2,4,4,2,0,-2, -2,0,-2,-5,0, -2,-5,-9] };
-      const eineKleine = { base: 392.00, seq: [7,7,7,5,4,5,7,5,4,5,7,7,7,5,4,5,7,5,4,5,7] };
-      const motif = (state.waveIndex % 2 === 0) ? odeToJoy : eineKleine;
+      if (musicNode) { try { musicNode.stop(); } catch {} }
+      const motif = motifs[state.waveIndex % motifs.length];
       const o = ctx.createOscillator();
       const g = ctx.createGain();
-      o.type = 'square';
+      o.type = motif.type || 'square';
       o.connect(g); g.connect(musicGain);
       g.gain.value = 0.12;
       let step = 0;
@@ -191,10 +801,11 @@
         step++;
       }, tickMs);
       o.start();
-      musicNode = { stop: () => { clearInterval(interval); o.stop(); } };
+      musicNode = { stop: () => { clearInterval(interval); o.stop(); o.disconnect(); } };
     }
+    const isPlaying = () => musicNode !== null;
 
-    return { ensureCtx, playTone, chord, playMusic, setMuted, isMuted };
+    return { ensureCtx, playTone, chord, playMusic, isPlaying, setMuted, isMuted };
   })();
 
   function showToast(text, ms = 1200) {
@@ -203,6 +814,170 @@
     setTimeout(() => toastEl.classList.remove('show'), ms);
   }
 
+  // Input layer: keyboard + Gamepad API mapped to logical actions through remappable, per-player bindings
+  const Input = (() => {
+    const PAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'D↑', 'D↓', 'D←', 'D→', 'Home'];
+    const KEY_NAMES = { ' ': 'Space', arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓', escape: 'Esc', enter: 'Enter', shift: 'Shift', control: 'Ctrl', alt: 'Alt', tab: 'Tab' };
+    let bindings = loadBindings(); // one binding set per player slot
+    let lastDevice = 'keyboard'; // player one's most recent device, for hints
+    const padPausePrev = [false, false];
+    const touchHeld = new Map(); // action -> number of fingers on it (touch always drives player one)
+    const touchTapped = new Set();
+
+    function cloneDefaults() { return JSON.parse(JSON.stringify(DEFAULT_BINDINGS)); }
+    function mergeSaved(b, saved) {
+      if (!saved || typeof saved !== 'object') return;
+      for (const a of ACTIONS) {
+        if (Array.isArray(saved.keys?.[a])) b.keys[a] = saved.keys[a].filter(k => typeof k === 'string');
+        if (Array.isArray(saved.pad?.[a])) b.pad[a] = saved.pad[a].filter(Number.isInteger);
+      }
+      // Actions added since the bindings were saved keep their defaults, minus whatever the player has given to another action
+      const mine = (list, a) => Array.isArray(saved[list]?.[a]);
+      for (const a of ACTIONS) {
+        for (const list of ['keys', 'pad']) {
+          if (!mine(list, a)) b[list][a] = b[list][a].filter(k => !ACTIONS.some(o => o !== a && mine(list, o) && b[list][o].includes(k)));
+        }
+      }
+      if (typeof saved.deadzone === 'number') b.deadzone = clamp(saved.deadzone, 0, 0.9);
+      if (Number.isInteger(saved.gamepad)) b.gamepad = clamp(saved.gamepad, -1, 3);
+    }
+    function loadBindings() {
+      const list = cloneDefaults();
+      const saved = Save.settings().bindings;
+      if (saved && Array.isArray(saved.players)) saved.players.slice(0, list.length).forEach((p, i) => mergeSaved(list[i], p));
+      return list;
+    }
+    function reloadBindings() { bindings = loadBindings(); }
+    function saveBindings() {
+      Save.settings().bindings = { players: bindings };
+      Save.write();
+    }
+    function resetBindings(player) { bindings[player] = cloneDefaults()[player]; saveBindings(); }
+    function getBindings(player = 0) { return bindings[player]; }
+
+    function actionForKey(key, player = 0) { return ACTIONS.find(a => bindings[player].keys[a].includes(key)) || null; }
+    function isPauseKey(key) { return bindings.some(b => b.keys.pause.includes(key)); }
+    function actionForPadButton(index, player) { return ACTIONS.find(a => bindings[player].pad[a].includes(index)) || null; }
+    // Bind a key/button to an action, stealing it from whichever of this player's actions had it. Returns the previous owner.
+    function bindKey(player, action, key, slot = bindings[player].keys[action].length) {
+      const b = bindings[player];
+      const prev = actionForKey(key, player);
+      if (prev) b.keys[prev] = b.keys[prev].filter(k => k !== key);
+      const list = b.keys[action];
+      if (slot < list.length) list[slot] = key; else list.push(key);
+      saveBindings();
+      return prev !== action ? prev : null;
+    }
+    function unbindKey(player, action, slot) { bindings[player].keys[action].splice(slot, 1); saveBindings(); }
+    function bindPadButton(player, action, index) {
+      const b = bindings[player];
+      const prev = actionForPadButton(index, player);
+      if (prev) b.pad[prev] = b.pad[prev].filter(x => x !== index);
+      b.pad[action] = [index];
+      saveBindings();
+      return prev !== action ? prev : null;
+    }
+    function setDeadzone(player, v) { bindings[player].deadzone = clamp(v, 0, 0.9); saveBindings(); }
+    function setGamepad(player, slot) { bindings[player].gamepad = slot; saveBindings(); }
+
+    // Each player reads the Nth connected pad (gamepad: -1 means keyboard only)
+    function getPad(player) {
+      const slot = bindings[player].gamepad;
+      if (slot < 0) return null;
+      const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+      return [...pads].filter(p => p && p.connected !== false)[slot] || null;
+    }
+    const padPressed = (pad, i) => !!pad.buttons[i] && (pad.buttons[i].pressed || pad.buttons[i].value > 0.5);
+    // Rescale so the stick reads 0 inside the deadzone and still reaches ±1 at full tilt
+    function applyDeadzone(v, dz) {
+      const m = Math.abs(v);
+      return m <= dz ? 0 : Math.sign(v) * Math.min(1, (m - dz) / (1 - dz));
+    }
+    function padButtonsDown(player) {
+      const pad = getPad(player);
+      if (!pad) return [];
+      return pad.buttons.map((_, i) => i).filter(i => padPressed(pad, i));
+    }
+
+    // Sample one player for one sim tick: { mask, moveX } with moveX quantized so replays stay exact.
+    // In co-op, keys player two has bound are ignored for player one so shared defaults never double up.
+    function sample(player = 0, playerCount = 1) {
+      const keys = new Set([...keysDown, ...keysTapped]);
+      if (player === 0 && playerCount > 1) {
+        for (const a of ACTIONS) if (a !== 'pause') bindings[1].keys[a].forEach(k => keys.delete(k));
+      }
+      const b = bindings[player];
+      const pad = getPad(player);
+      const touch = player === 0;
+      let mask = 0;
+      for (const a of ACTIONS) {
+        const down = b.keys[a].some(k => keys.has(k)) || (!!pad && b.pad[a].some(i => padPressed(pad, i))) ||
+          (touch && (touchHeld.has(a) || touchTapped.has(a)));
+        if (down) mask |= ACTION_BIT[a];
+      }
+      let moveX = ((mask & ACTION_BIT.right) ? 1 : 0) - ((mask & ACTION_BIT.left) ? 1 : 0);
+      if (pad && moveX === 0) moveX = applyDeadzone(pad.axes[0] || 0, b.deadzone);
+      if (pad && applyDeadzone(pad.axes[1] || 0, b.deadzone) > 0.5) mask |= ACTION_BIT.down;
+      if (player === 0 && pad && (pad.buttons.some((_, i) => padPressed(pad, i)) || moveX !== 0 && keys.size === 0)) lastDevice = 'pad';
+      return { mask, moveX: Math.round(clamp(moveX, -1, 1) * 100) / 100 };
+    }
+    // Taps only need to survive until every player has been sampled for the tick
+    function endTick() {
+      keysTapped.clear();
+      touchTapped.clear();
+    }
+    // Rising edge of any player's pad pause button (keyboard pause arrives as keydown events instead)
+    function pollPadPause() {
+      let edge = false;
+      bindings.forEach((b, player) => {
+        const pad = getPad(player);
+        const down = !!pad && b.pad.pause.some(i => padPressed(pad, i));
+        if (down && !padPausePrev[player]) edge = true;
+        padPausePrev[player] = down;
+      });
+      return edge;
+    }
+    function noteKeyboard() { lastDevice = 'keyboard'; }
+
+    // On-screen buttons: several fingers may hold the same action
+    function touchDown(action) {
+      touchHeld.set(action, (touchHeld.get(action) || 0) + 1);
+      touchTapped.add(action);
+      lastDevice = 'touch';
+    }
+    function touchUp(action) {
+      const n = (touchHeld.get(action) || 0) - 1;
+      if (n > 0) touchHeld.set(action, n); else touchHeld.delete(action);
+    }
+
+    function keyName(k) { return KEY_NAMES[k] || (k.length === 1 ? k.toUpperCase() : k[0].toUpperCase() + k.slice(1)); }
+    function padName(i) { return PAD_BUTTON_NAMES[i] || `B${i}`; }
+    function labelFor(action, device = lastDevice, player = 0) {
+      const b = bindings[player];
+      const list = device === 'pad' ? b.pad[action].map(padName) : b.keys[action].map(keyName);
+      return list.length ? list.join('/') : '—';
+    }
+    function hintText(playerCount = 1, mode = 'solo') {
+      if (playerCount > 1) {
+        // Too little room for two full legends: first binding of each attack + jump per player
+        const short = (p, actions) => actions.map(a => labelFor(a, p === 0 && lastDevice === 'pad' || p > 0 && getPad(p) ? 'pad' : 'keyboard', p).split('/')[0]).join(' ');
+        if (mode === 'versus') {
+          return `Fer Kiss Flower Bomb Jump: ${short(0, ['kiss', 'flower', 'bomb', 'jump'])}   Plush Swipe Puff Jump: ${short(1, ['kiss', 'flower', 'jump'])}`;
+        }
+        return `Kiss Flower Bomb Jump — P1: ${short(0, ['kiss', 'flower', 'bomb', 'jump'])}   P2: ${short(1, ['kiss', 'flower', 'bomb', 'jump'])}`;
+      }
+      if (lastDevice === 'touch') return ''; // the buttons are their own legend
+      const parts = [['Kiss', 'kiss'], ['Hug', 'hug'], ['Flower', 'flower'], ['Bomb', 'bomb'], ['Block', 'block'], ['Dash', 'dash'], ['Perk', 'perk'], ['Jump', 'jump'], ['Pause', 'pause']];
+      return parts.map(([label, a]) => `${label}: ${labelFor(a)}`).join('  ');
+    }
+
+    return {
+      sample, endTick, pollPadPause, padButtonsDown, noteKeyboard, touchDown, touchUp, getBindings, resetBindings, reloadBindings,
+      actionForKey, isPauseKey, bindKey, unbindKey, bindPadButton, setDeadzone, setGamepad, keyName, padName, labelFor, hintText,
+      get lastDevice() { return lastDevice; }
+    };
+  })();
+
   // Animation variants per spawn
   function pickVariant() {
     return {
@@ -213,7 +988,7 @@
   }
 
   // Camera (simple shake for hit impact)
-  const camera = { shakeMs: 0, shakeMag: 0 };
+  const camera = { x: 0, shakeMs: 0, shakeMag: 0 }; // x: left edge of the view on the stage (see updateCamera)
   function triggerShake(ms = 180, mag = 4) {
     camera.shakeMs = Math.max(camera.shakeMs, ms);
     camera.shakeMag = Math.max(camera.shakeMag, mag);
@@ -231,8 +1006,21 @@
       this.facing = 1;
       this.onGround = false;
       this.remove = false;
+      this.prevX = x;
+      this.prevY = y;
     }
     get rect() { return { x: this.x, y: this.y, w: this.w, h: this.h }; }
+    // Remember where we were at the start of a step so rendering can interpolate
+    savePrev() { this.prevX = this.x; this.prevY = this.y; }
+  }
+
+  // Draw an entity between its previous and current simulated position
+  function drawInterpolated(entity, alpha) {
+    const x = entity.x; const y = entity.y;
+    entity.x = lerp(entity.prevX, x, alpha);
+    entity.y = lerp(entity.prevY, y, alpha);
+    entity.draw();
+    entity.x = x; entity.y = y;
   }
 
   // Particles
@@ -247,51 +1035,66 @@
 
   // Projectiles
   const projectiles = [];
+  // Per-type physics. Hostile types are what plushes fire (enemies.json picks from these); bouncing ones roll on after landing.
+  const PROJECTILE_TYPES = {
+    heart: { gravity: 0 },
+    flower: { gravity: 0.4, bounce: 0.3 },
+    bomb: { gravity: 0.6 },
+    cotton: { gravity: 0.2, hostile: true, size: [20, 18] },
+    button: { gravity: 0, hostile: true, size: [14, 14] },
+    yarn: { gravity: 0.35, bounce: 0.6, hostile: true, size: [18, 18] },
+    shockwave: { gravity: 0, hostile: true, size: [30, 16] } // ground slams; rides along the floor
+  };
+  const ENEMY_PROJECTILES = Object.keys(PROJECTILE_TYPES).filter(t => PROJECTILE_TYPES[t].hostile);
   class Projectile extends Entity {
-    constructor(x, y, w, h, type, facing, damage) {
+    constructor(x, y, w, h, type, facing, damage, owner = null) {
       super(x, y, w, h);
-      this.type = type; // 'heart' | 'flower' | 'cotton' | 'bomb'
+      this.type = type; // a PROJECTILE_TYPES key
       this.facing = facing;
       this.damage = damage;
-      this.birth = now();
+      this.owner = owner; // fighter that fired it (plush threat tracking)
+      this.ageMs = 0;
       this.lifeMs = 2500;
       this.spin = rand(-0.1, 0.1);
       this.rotation = 0;
       this.radius = type === 'bomb' ? 70 : 0; // for AoE
     }
     update(dt) {
-      this.vy += this.type === 'flower' ? 0.4 : (this.type === 'cotton' ? 0.2 : (this.type === 'bomb' ? 0.6 : 0));
-      this.x += this.vx * dt;
-      this.y += this.vy * dt;
+      const kind = PROJECTILE_TYPES[this.type];
+      this.vy += kind.gravity;
+      const hit = moveBody(this, dt);
       this.rotation += this.spin * dt;
-      if (this.y + this.h > GROUND_Y) {
-        this.y = GROUND_Y - this.h;
-        if (this.type === 'bomb') {
-          this.remove = true; // explode on ground
-          // AoE explosion
-          spawnBurst(this.x + this.w / 2, this.y + this.h / 2, '#ffdd55', 36, 5);
-          triggerShake(320, 8);
-          // Damage enemy if within radius
-          const ex = this.x + this.w / 2;
-          const ey = this.y + this.h / 2;
-          const enemy = state.enemy;
-          const cx = enemy.x + enemy.w / 2; const cy = enemy.y + enemy.h / 2;
-          const dist = Math.hypot(cx - ex, cy - ey);
-          if (dist <= this.radius) {
-            const killed = enemy.takeDamage(this.damage);
-            enemy.vx += Math.sign(cx - ex) * 4;
-            enemy.vy -= 5;
-            if (killed) onWin();
-          }
-          AudioEngine.chord([392, 523.25, 659.25], 0.22, 'triangle', 1);
-        } else {
-          this.vy *= -0.3;
-          this.vx *= 0.7;
-        }
+      if (this.type === 'bomb' && (hit.floor || hit.wall || hit.ceiling)) {
+        this.explode();
+      } else if (hit.floor) {
+        this.vy *= -(kind.bounce || 0.3);
+        this.vx *= 0.7;
         if (Math.abs(this.vy) < 0.2) this.vy = 0;
-        if (this.type !== 'flower') this.remove = true;
+        if (!kind.bounce) this.remove = true;
       }
-      if (now() - this.birth > this.lifeMs) this.remove = true;
+      // Bouncing shots rebound off walls and ceilings; anything else stops there
+      if ((hit.wall || hit.ceiling) && !kind.bounce) this.remove = true;
+      else if (hit.wall) this.vx *= -kind.bounce;
+      else if (hit.ceiling) this.vy *= -kind.bounce;
+      // Shockwaves ride their floor and die out where it ends; everything is lost down a pit
+      if (this.type === 'shockwave' && !standingOn(this)) this.remove = true;
+      if (this.y > HEIGHT) this.remove = true;
+      this.ageMs += dt * 16;
+      if (this.ageMs > this.lifeMs) this.remove = true;
+    }
+    // Bombs blow up on whatever they hit, damaging every plush within radius
+    explode() {
+      this.remove = true;
+      spawnBurst(this.x + this.w / 2, this.y + this.h / 2, '#ffdd55', 36, 5);
+      triggerShake(320, 8);
+      let hits = 0;
+      const attack = { box: { r: this.radius }, damage: this.damage, knockback: 4, away: true, bump: 5, uncounted: true };
+      strike(placeBox(this, attack.box), attack, this, state.enemies, null, (enemy, killed, part, landed) => {
+        if (landed) hits++;
+        if (killed) onEnemyDefeated(enemy);
+      });
+      scoreBomb(hits, this.x + this.w / 2, this.y + this.h / 2);
+      AudioEngine.chord([392, 523.25, 659.25], 0.22, 'triangle', 1);
     }
     draw() {
       ctx.save();
@@ -303,6 +1106,12 @@
         drawFlower(-this.w / 2, -this.h / 2, this.w, this.h, '#ffd166');
       } else if (this.type === 'cotton') {
         drawPuff(-this.w / 2, -this.h / 2, this.w, this.h, '#ffffff');
+      } else if (this.type === 'button') {
+        drawButton(-this.w / 2, -this.h / 2, this.w, this.h, '#ff8fab');
+      } else if (this.type === 'yarn') {
+        drawYarn(-this.w / 2, -this.h / 2, this.w, this.h, '#c77dff');
+      } else if (this.type === 'shockwave') {
+        drawShockwave(-this.w / 2, -this.h / 2, this.w, this.h, this.facing);
       } else if (this.type === 'bomb') {
         drawStar(-this.w / 2, -this.h / 2, this.w, this.h, '#ffec99', '#ff6b6b');
       }
@@ -310,6 +1119,298 @@
     }
   }
 
+  // A blocked puff (or any shot, parried) flies back at the plushes, harder
+  function reflectShot(proj, player) {
+    proj.reflected = true;
+    proj.owner = player;
+    proj.facing = player.facing;
+    proj.vx = player.facing * Math.max(Math.abs(proj.vx), 3) * 1.5;
+    proj.damage = Math.round(proj.damage * 1.5);
+    proj.grazed = false;
+    proj.ageMs = 0;
+    spawnBurst(proj.x + proj.w / 2, proj.y + proj.h / 2, '#8affc1', 8, 2.5);
+    AudioEngine.playTone(784, 0.08, 'square', 0.35);
+  }
+
+  // Pickups: plushes drop them when hit or defeated (by their drop table), and survival drops them in from the top.
+  // They bounce to a stop on the floor and blink away unless a Fer touches them first. Buffs run on a timer
+  // (player.buffs), shown under the health bar.
+  const pickups = [];
+  const SURVIVAL_BOMBS = 3; // bombs are limited in survival; refills come as pickups
+  const MAX_BOMBS = 5;
+  const DROP_LIFE_MS = 8000;
+  const RAPID_KISS_MULT = 0.4; // kiss cooldown under Rapid Kisses
+  const GIANT_FLOWER_MULT = 2; // flower size and damage under Giant Flower
+  const PICKUP_TYPES = {
+    health: { name: 'Health Kiss', label: '+25 health', color: '#ff4d8d',
+      apply: p => { p.health = Math.min(p.maxHealth, p.health + 25); },
+      draw: (x, y, w, h) => drawHeart(x, y, w, h, '#ff4d8d') },
+    rapid: { name: 'Rapid Kisses', label: 'Rapid kisses!', color: '#ff8fab', icon: '💋', buffMs: 8000,
+      draw: (x, y, w, h) => { drawHeart(x, y + h * 0.3, w * 0.6, h * 0.6, '#ff8fab'); drawHeart(x + w * 0.4, y, w * 0.6, h * 0.6, '#ff4d8d'); } },
+    giant: { name: 'Giant Flower', label: 'Giant flowers!', color: '#ffd166', icon: '🌼', buffMs: 10000,
+      draw: (x, y, w, h) => drawFlower(x - 3, y - 3, w + 6, h + 6, '#ffd166') },
+    shield: { name: 'Shield', label: 'Shield!', color: '#73a7ff', icon: '🛡️', buffMs: 6000,
+      draw: (x, y, w, h) => drawBubble(x + w / 2, y + h / 2, w / 2, 1) },
+    // Only drops while somebody's bombs are limited (survival)
+    bomb: { name: 'Extra Bombs', label: '+2 bombs', color: '#ffdd55', wanted: () => state.players.some(p => p.bombs < MAX_BOMBS),
+      apply: p => { if (Number.isFinite(p.bombs)) p.bombs = Math.min(MAX_BOMBS, p.bombs + 2); },
+      draw: (x, y, w, h) => drawStar(x, y, w, h, '#ffec99', '#ff6b6b') },
+    egg: { name: 'Egg', label: '+1 🥚', color: '#fff4e6',
+      apply: () => { if (!state.replay) earnEggs(1); },
+      draw: (x, y, w, h) => {
+        ctx.fillStyle = '#fff4e6';
+        ctx.beginPath();
+        ctx.ellipse(x + w / 2, y + h / 2 + 1, w * 0.38, h * 0.5, 0, 0, TAU);
+        ctx.fill();
+      } }
+  };
+  // Enemies without a drops table in the roster use this
+  const DEFAULT_DROPS = { hit: 0.03, defeat: 0.5, items: { health: 4, rapid: 2, giant: 2, shield: 2, bomb: 2, egg: 1 } };
+  // Weighted pick from { type: weight }, skipping types nobody can use right now; null if nothing's left
+  // (old replays without drops roll over every type in the table)
+  function rollPickup(weights) {
+    const wanted = type => state.classicDrops || !PICKUP_TYPES[type].wanted || PICKUP_TYPES[type].wanted();
+    const options = Object.entries(weights).filter(([type, w]) => PICKUP_TYPES[type] && w > 0 && wanted(type));
+    let roll = rand(0, options.reduce((sum, [, w]) => sum + w, 0));
+    const pick = options.find(([, w]) => (roll -= w) < 0) || options[options.length - 1];
+    return pick ? pick[0] : null;
+  }
+  // event: 'hit' or 'defeat'. Versus has no drops, and neither do replays from before them.
+  const CLASSIC_DROPS = 'classic';
+  function dropFrom(enemy, event) {
+    const drops = enemy.drops || DEFAULT_DROPS;
+    if (state.match || state.classicDrops || !(rand(0, 1) < (drops[event] ?? 0))) return;
+    const type = rollPickup(drops.items || DEFAULT_DROPS.items);
+    if (!type) return;
+    const item = new Pickup(enemy.x + enemy.w / 2 - 11, enemy.y + enemy.h / 3, type, DROP_LIFE_MS);
+    item.vx = rand(-2.5, 2.5);
+    item.vy = rand(-7, -4);
+    pickups.push(item);
+  }
+  class Pickup extends Entity {
+    constructor(x, y, type, lifeMs) {
+      super(x, y, 22, 22);
+      this.type = type; // a PICKUP_TYPES key
+      this.ageMs = 0;
+      this.lifeMs = lifeMs;
+    }
+    update(dt) {
+      this.vy += GRAVITY * 0.5 * dt;
+      const hit = moveBody(this, dt);
+      if (hit.floor) {
+        this.vy = this.vy > 2 && !state.classicDrops ? -this.vy * 0.35 : 0;
+        this.vx *= FRICTION;
+      }
+      if (hit.ceiling) this.vy = 0;
+      if (hit.wall || this.x < 0 || this.x + this.w > state.stageW) this.vx = -this.vx * 0.5;
+      this.x = clamp(this.x, 0, state.stageW - this.w);
+      if (this.y > HEIGHT) this.remove = true; // down a pit
+      this.ageMs += dt * 16;
+      if (this.ageMs > this.lifeMs) this.remove = true;
+    }
+    draw() {
+      // Blinks through its last two seconds
+      const left = this.lifeMs - this.ageMs;
+      if (left < 2000 && Math.floor(left / 120) % 2) return;
+      PICKUP_TYPES[this.type].draw(this.x, this.y + Math.sin(this.ageMs / 200) * 3, this.w, this.h);
+    }
+  }
+  function grantPickup(player, item) {
+    const kind = PICKUP_TYPES[item.type];
+    if (kind.apply) kind.apply(player);
+    if (kind.buffMs) player.buffs[item.type] = kind.buffMs; // picking up another restarts the timer
+  }
+  const buffed = (player, type) => player.buffs[type] > 0;
+
+  // Hitboxes and hurtboxes. An attack declares its hitbox (box), how long it stays out (activeMs; a single tick if
+  // unset), damage, knockback (along the attacker's facing, or away from its middle with `away`), lift (launches:
+  // sets vertical speed) or bump (adds to it), and hitstunMs (the target can't act for that long). Boxes sit in front
+  // of the attacker ({ x, y, w, h }, x from its front edge, mirrored when it faces left), cover its whole body
+  // ('body'), run along its feet ({ feet, h }: that far past each side) or blast out from its middle ({ r }: reaching
+  // anyone whose middle is that close). Fighters are hit through their hurtboxes, one per body part; replays from
+  // before those were hit anywhere in their rect.
+  const CLASSIC_HURTBOXES = 'classic';
+  const HURT_PARTS = {
+    fer: [['head', 0.04, 0, 0.92, 0.3], ['body', 0.08, 0.25, 0.84, 0.45], ['legs', 0.12, 0.68, 0.76, 0.32]],
+    plush: [['head', 0.05, 0, 0.9, 0.35], ['body', 0, 0.3, 1, 0.62]] // no legs: the bottom is just shadow
+  };
+  function placeBox(owner, box) {
+    if (box === 'body') return owner.rect;
+    if (box.r !== undefined) return { cx: owner.x + owner.w / 2, cy: owner.y + owner.h / 2, r: box.r };
+    if (box.feet !== undefined) return { x: owner.x - box.feet, y: owner.y + owner.h - box.h, w: owner.w + box.feet * 2, h: box.h };
+    return owner.facing === 1
+      ? { x: owner.x + owner.w + box.x, y: owner.y + box.y, w: box.w, h: box.h }
+      : { x: owner.x - box.x - box.w, y: owner.y + box.y, w: box.w, h: box.h };
+  }
+  // A fighter's hurtboxes in the world, from its parts: [name, x, y, w, h] as fractions of its rect
+  function hurtboxes(f) {
+    return f.hurtParts.map(([part, x, y, w, h]) => ({ part, x: f.x + f.w * x, y: f.y + f.h * y, w: f.w * w, h: f.h * h }));
+  }
+  // The part of the fighter a placed hitbox touches, or null
+  function hitTest(box, f) {
+    if (box.r !== undefined) return Math.hypot(f.x + f.w / 2 - box.cx, f.y + f.h / 2 - box.cy) <= box.r ? 'body' : null;
+    if (!rectsOverlap(box, f.rect)) return null;
+    if (state.classicHurtboxes) return 'body';
+    const hurt = hurtboxes(f).find(hb => rectsOverlap(box, hb));
+    return hurt ? hurt.part : null;
+  }
+  // Land an attack's placed hitbox on every target it touches that isn't in `struck` yet (adding them), then call
+  // onHit(target, killed, part, landed). A Fer's guard stops the knockback and hitstun; plushes count the hit for the
+  // Fers' score (bomb hits, scored on their own, set `uncounted`).
+  function strike(box, attack, source, targets, struck, onHit) {
+    for (const target of [...targets]) {
+      if (target.down || (struck && struck.has(target))) continue;
+      const part = hitTest(box, target);
+      if (!part) continue;
+      if (struck) struck.add(target);
+      if (state.debug) debugHits.push({ box, at: now() });
+      const before = target.health;
+      let killed; let guarded = false;
+      if (target instanceof Player) {
+        killed = target.takeDamage(attack.damage, source);
+        guarded = target.guarding(source);
+      } else {
+        killed = hurtEnemy(target, attack.damage, source instanceof Projectile ? source.owner : source, !attack.uncounted);
+      }
+      if (!guarded) knock(target, attack, source);
+      const landed = target.health < before;
+      if (attack.hitstunMs && landed && !guarded) target.stun(attack.hitstunMs);
+      if (onHit) onHit(target, killed, part, landed);
+    }
+  }
+  function knock(target, attack, source) {
+    const dir = attack.away ? Math.sign(target.x + target.w / 2 - (source.x + source.w / 2)) : source.facing;
+    if (attack.knockback) target.vx += dir * attack.knockback;
+    if (attack.lift !== undefined) target.vy = -attack.lift;
+    if (attack.bump) target.vy -= attack.bump;
+  }
+
+  // Animation: a fighter is always in one named state, picked every step from what it's doing, with a clock that
+  // restarts whenever the state changes. Sprite sheets time their frames on that clock; the procedural drawing
+  // poses by it. Purely for show: nothing in the simulation reads it.
+  const ANIM_STATES = ['idle', 'walk', 'jump', 'windup', 'attack', 'hurt', 'ko', 'victory'];
+  // A sheet without an animation for a state shows this one instead (all the way down to idle)
+  const ANIM_FALLBACK = { walk: 'idle', jump: 'idle', windup: 'attack', attack: 'idle', hurt: 'idle', ko: 'hurt', victory: 'idle' };
+  const HURT_ANIM_MS = 250;
+  const THROW_ANIM_MS = 160;
+  const KO_ANIM_MS = 700; // how long a defeated plush lies there fading before it's gone
+
+  // Sprites: sprites.json (optional, loaded at startup like enemies.json) swaps the procedural drawing for sprite
+  // sheets, by sprite id: 'fer' (or 'fer1'/'fer2' for one player) and each enemy's "sprite". A sheet has
+  //   image        the sheet image
+  //   frameW/frameH  a grid sheet: frames are numbered left to right, top to bottom
+  //   atlas        or an atlas JSON (TexturePacker's hash or array format): frames are named
+  //   animations   animation state -> { frames: [...], frameMs (default 100), loop (default true, except ko) }; idle is required
+  //   scale, offset [x, y], facing  drawn bottom-centred on the fighter at that scale, nudged by offset, and mirrored
+  //                to face the other way than the art does (facing 1: right, the default)
+  // Fighters whose sheet hasn't loaded (or failed to) are drawn procedurally.
+  const sprites = new Map(); // sprite id -> { sheet, image, rects (atlas frame name -> { x, y, w, h }) } once loaded
+  function validateSprites(data) {
+    const errors = [];
+    const fail = (path, msg) => errors.push(`${path}: ${msg}`);
+    const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    if (!isObj(data)) return ['expected an object of sprite sheets keyed by sprite id'];
+    for (const [id, s] of Object.entries(data)) {
+      if (!isObj(s)) { fail(id, 'expected a sprite sheet object'); continue; }
+      if (typeof s.image !== 'string' || !s.image) fail(`${id}.image`, 'expected an image file');
+      const grid = s.atlas === undefined;
+      if (!grid && typeof s.atlas !== 'string') fail(`${id}.atlas`, 'expected an atlas JSON file');
+      if (grid && !(Number.isInteger(s.frameW) && s.frameW > 0 && Number.isInteger(s.frameH) && s.frameH > 0)) fail(id, 'expected frameW and frameH (a grid sheet) or an atlas');
+      if (s.scale !== undefined && !(typeof s.scale === 'number' && s.scale > 0)) fail(`${id}.scale`, 'expected a number above 0');
+      if (s.offset !== undefined && !(Array.isArray(s.offset) && s.offset.length === 2 && s.offset.every(Number.isFinite))) fail(`${id}.offset`, 'expected [x, y]');
+      if (s.facing !== undefined && s.facing !== 1 && s.facing !== -1) fail(`${id}.facing`, 'expected 1 (right) or -1 (left)');
+      if (!isObj(s.animations) || !isObj(s.animations.idle)) { fail(`${id}.animations`, 'expected animations, including idle'); continue; }
+      for (const [name, a] of Object.entries(s.animations)) {
+        const at = `${id}.animations.${name}`;
+        if (!ANIM_STATES.includes(name)) fail(at, `unknown animation state (expected one of ${ANIM_STATES.join(', ')})`);
+        else if (!isObj(a) || !Array.isArray(a.frames) || !a.frames.length) fail(at, 'expected { "frames": [...] }');
+        else if (!a.frames.every(f => (grid ? Number.isInteger(f) && f >= 0 : typeof f === 'string'))) fail(`${at}.frames`, grid ? 'expected frame numbers' : 'expected atlas frame names');
+        else if (a.frameMs !== undefined && !(typeof a.frameMs === 'number' && a.frameMs > 0)) fail(`${at}.frameMs`, 'expected a number above 0');
+        else if (a.loop !== undefined && typeof a.loop !== 'boolean') fail(`${at}.loop`, 'expected true or false');
+      }
+    }
+    return errors;
+  }
+  // TexturePacker atlases: { frames: { name: { frame } } } or { frames: [{ filename, frame }] }
+  function atlasRects(atlas) {
+    const frames = atlas && atlas.frames;
+    const entries = Array.isArray(frames) ? frames.map(f => [f.filename, f]) : Object.entries(frames || {});
+    return new Map(entries.filter(([, f]) => f && f.frame).map(([name, f]) => [name, f.frame]));
+  }
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error(`can't load ${src}`));
+      image.src = src;
+    });
+  }
+  async function loadSprites() {
+    let data;
+    try {
+      const res = await fetch('sprites.json', { cache: 'no-store' });
+      if (!res.ok) return;
+      data = await res.json();
+    } catch (err) {
+      if (err instanceof SyntaxError) showToast('sprites.json is not valid JSON — drawing everyone procedurally', 4000);
+      return;
+    }
+    const errors = validateSprites(data);
+    if (errors.length) {
+      console.warn('sprites.json:\n' + errors.join('\n'));
+      showToast(`sprites.json: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more, see console)` : ''} — drawing everyone procedurally`, 5000);
+      return;
+    }
+    // Each sheet comes in on its own; one that fails leaves the others be
+    await Promise.all(Object.entries(data).map(async ([id, sheet]) => {
+      try {
+        const [image, rects] = await Promise.all([
+          loadImage(sheet.image),
+          sheet.atlas && fetch(sheet.atlas, { cache: 'no-store' }).then(res => {
+            if (!res.ok) throw new Error(`can't load ${sheet.atlas}`);
+            return res.json();
+          }).then(atlasRects)
+        ]);
+        const missing = rects && Object.values(sheet.animations).flatMap(a => a.frames).find(f => !rects.has(f));
+        if (missing) throw new Error(`no frame "${missing}" in ${sheet.atlas}`);
+        sprites.set(id, { sheet, image, rects });
+      } catch (err) {
+        console.warn(`sprites.json ${id}:`, err);
+        showToast(`sprites.json: ${id}: ${err.message} — drawing it procedurally`, 4000);
+      }
+    }));
+  }
+  // The fighter's loaded sheet, if it has one
+  const spriteFor = f => f.spriteIds().map(id => sprites.get(id)).find(Boolean) || null;
+  // Draw the fighter from its sheet's current frame; false if it has no sheet to draw from
+  function drawSprite(f) {
+    const sprite = spriteFor(f);
+    if (!sprite) return false;
+    const { sheet, image, rects } = sprite;
+    let name = f.anim.name;
+    while (!sheet.animations[name]) name = ANIM_FALLBACK[name] || 'idle';
+    const anim = sheet.animations[name];
+    const frameMs = anim.frameMs ?? 100;
+    const loop = anim.loop ?? name !== 'ko';
+    const n = Math.floor(f.anim.ms / frameMs);
+    const frame = anim.frames[loop ? n % anim.frames.length : Math.min(n, anim.frames.length - 1)];
+    let r = rects && rects.get(frame);
+    if (!r) {
+      const cols = Math.max(1, Math.floor(image.width / sheet.frameW));
+      r = { x: (frame % cols) * sheet.frameW, y: Math.floor(frame / cols) * sheet.frameH, w: sheet.frameW, h: sheet.frameH };
+    }
+    const scale = sheet.scale ?? 1;
+    const [ox, oy] = sheet.offset || [0, 0];
+    const w = r.w * scale; const h = r.h * scale;
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.translate(f.x + f.w / 2 + ox * f.facing, f.y + f.h + oy);
+    if (f.facing !== (sheet.facing ?? 1)) ctx.scale(-1, 1);
+    ctx.drawImage(image, r.x, r.y, r.w, r.h, -w / 2, -h, w, h);
+    ctx.restore();
+    return true;
+  }
+
   // Characters
   class Fighter extends Entity {
     constructor(x, y, colorPrimary, colorSecondary) {
@@ -319,37 +1420,86 @@
       this.maxHealth = 100;
       this.health = this.maxHealth;
       this.invMs = 0;
+      this.stunMs = 0; // hitstun: can't act until it runs out
+      this.strikes = []; // attacks with their hitbox still out: { attack, ms, struck, onHit }
       this.variant = pickVariant();
       this.animT = 0;
+      this.anim = { name: 'idle', ms: 0 }; // animation state and how long it's been in it
+      this.hurtMs = 0; // flinching from the last hit
+      this.bootColor = '#8b4513';
     }
     takeDamage(amount) {
       if (this.invMs > 0) return false;
+      const before = this.health;
       this.health = clamp(this.health - amount, 0, this.maxHealth);
+      noteDamage(this, before - this.health);
       this.invMs = 300;
+      this.hurtMs = HURT_ANIM_MS;
       triggerShake(180, 5);
       spawnBurst(this.x + this.w / 2, this.y + this.h / 2, '#ff6b6b', 12, 3);
       return this.health <= 0;
     }
     updatePhysics(dt) {
       this.animT += dt;
-      this.vy += GRAVITY * dt;
-      this.x += this.vx * dt;
-      this.y += this.vy * dt;
-      if (this.y + this.h >= GROUND_Y) {
-        this.y = GROUND_Y - this.h;
-        this.vy = 0;
-        this.onGround = true;
-      } else {
+      this.vy += GRAVITY * (state.modifiers.lowGravity ? LOW_GRAVITY : 1) * dt;
+      const hit = moveBody(this, dt, true);
+      this.onGround = !!hit.floor;
+      if (hit.floor) this.vy = 0;
+      if (hit.ceiling) this.vy = Math.max(this.vy, 0);
+      if (hit.wall) this.vx = 0;
+      this.wall = hit.wall; // plush AI hops over it
+      // Bouncy blocks throw whoever lands on them back up
+      if (hit.floor && hit.floor.bounce) {
+        this.vy = -hit.floor.bounce;
         this.onGround = false;
+        AudioEngine.playTone(520, 0.08, 'sine', 0.3);
       }
       if (this.onGround) {
         this.vx *= FRICTION;
       } else {
         this.vx *= AIR_FRICTION;
       }
-      this.x = clamp(this.x, 0, WIDTH - this.w);
+      this.x = clamp(this.x, 0, state.stageW - this.w);
       if (this.invMs > 0) this.invMs -= dt * 16;
+      if (this.stunMs > 0) this.stunMs -= dt * 16;
+    }
+    stun(ms) {
+      this.stunMs = Math.max(this.stunMs, ms);
+    }
+    // Put out an attack's hitbox: it hits on this tick and, for attacks with active time, on later ones (see updateStrikes)
+    strikeWith(attack, targets, onHit) {
+      const live = { attack, ms: 0, struck: new Set(), onHit };
+      strike(placeBox(this, attack.box), attack, this, targets, live.struck, onHit);
+      if (attack.activeMs) this.strikes.push(live);
+    }
+    // Hitboxes still out from earlier ticks follow the attacker
+    updateStrikes(dt, targets) {
+      for (const live of this.strikes) {
+        live.ms += dt * 16;
+        if (live.ms < live.attack.activeMs) strike(placeBox(this, live.attack.box), live.attack, this, targets, live.struck, live.onHit);
+      }
+      this.strikes = this.strikes.filter(live => live.ms < live.attack.activeMs);
+    }
+    // One step of the animation clock (see Animation)
+    animate(dt) {
+      if (this.hurtMs > 0) this.hurtMs -= dt * 16;
+      const name = this.animState();
+      if (name === this.anim.name) this.anim.ms += dt * 16;
+      else this.anim = { name, ms: 0 };
     }
+    animState() {
+      if (this.health <= 0 || this.down) return 'ko';
+      if (this.cheering()) return 'victory';
+      if (this.stunMs > 0 || this.hurtMs > 0) return 'hurt';
+      const busy = this.busyState();
+      if (busy) return busy;
+      if (this.strikes.length) return 'attack';
+      if (!this.onGround) return 'jump';
+      return Math.abs(this.vx) > 0.5 ? 'walk' : 'idle';
+    }
+    cheering() { return false; }
+    // 'windup' or 'attack' while a move is under way
+    busyState() { return null; }
     drawBase() {
       // Body: simple chibi proportions, pixel-arty blocks
       // Shadow
@@ -360,27 +1510,44 @@
 
       const flicker = this.invMs > 0 && Math.floor(now() / 60) % 2 === 0;
       if (flicker) return; // blink when invulnerable
+      if (drawSprite(this)) return;
 
-      // Leg bob
-      const bob = Math.sin(this.animT * this.variant.bobSpeed) * this.variant.bobMag;
+      // Pose for the animation state: knocked flat, hopping for joy, flinching back, legs tucked in a jump
+      const { name, ms } = this.anim;
+      ctx.save();
+      if (name === 'ko') {
+        ctx.translate(this.x + this.w / 2, this.y + this.h);
+        ctx.rotate(-this.facing * Math.min(1, ms / 300) * Math.PI / 2);
+        ctx.translate(-this.x - this.w / 2, -this.y - this.h);
+      } else if (name === 'victory') ctx.translate(0, -Math.abs(Math.sin(ms / 130)) * 8);
+      else if (name === 'hurt') ctx.translate(-this.facing * 3, 0);
+      const tuck = name === 'jump' ? -6 : 0;
+      // Leg bob: full stride walking, a gentle sway standing
+      const bob = name === 'walk' ? Math.sin(this.animT * this.variant.bobSpeed) * this.variant.bobMag
+        : name === 'idle' ? Math.sin(this.animT * this.variant.bobSpeed * 0.5) * this.variant.bobMag * 0.4 : 0;
       // Legs + cowboy boots
       ctx.fillStyle = '#f3d6b5';
-      ctx.fillRect(this.x + 8, this.y + 48 + bob * 0.2, 12, 16);
-      ctx.fillRect(this.x + this.w - 20, this.y + 48 - bob * 0.2, 12, 16);
+      ctx.fillRect(this.x + 8, this.y + 48 + tuck + bob * 0.2, 12, 16);
+      ctx.fillRect(this.x + this.w - 20, this.y + 48 + tuck - bob * 0.2, 12, 16);
       // Boots
-      ctx.fillStyle = '#8b4513';
-      ctx.fillRect(this.x + 6, this.y + 64 + bob * 0.2, 16, 8);
-      ctx.fillRect(this.x + this.w - 22, this.y + 64 - bob * 0.2, 16, 8);
+      ctx.fillStyle = this.bootColor;
+      ctx.fillRect(this.x + 6, this.y + 64 + tuck + bob * 0.2, 16, 8);
+      ctx.fillRect(this.x + this.w - 22, this.y + 64 + tuck - bob * 0.2, 16, 8);
       // Torso: flowery sundress
-      roundedRect(this.x + 6, this.y + 18, this.w - 12, 36, 6, '#ff9ac6', true);
+      roundedRect(this.x + 6, this.y + 18, this.w - 12, 36, 6, this.colorPrimary, true);
       for (let i = 0; i < 5; i++) {
         drawFlower(this.x + 12 + i * 6, this.y + 24 + (i % 2) * 8, 8, 8, '#ffe27a');
       }
-      // Arms swing
+      // Arms: swinging, both up to cheer, the front one drawn back (windup) or thrown out (attack)
       ctx.fillStyle = this.colorSecondary;
-      const armSwing = Math.sin(this.animT * (this.variant.bobSpeed + 0.4)) * this.variant.armSwing;
-      ctx.fillRect(this.x + (this.facing === 1 ? this.w - 10 : -2), this.y + 24 + armSwing, 12, 18);
-      ctx.fillRect(this.x - (this.facing === 1 ? 2 : -this.w + 10), this.y + 28 - armSwing, 12, 18);
+      const front = this.x + (this.facing === 1 ? this.w - 10 : -2);
+      const back = this.x - (this.facing === 1 ? 2 : -this.w + 10);
+      const armSwing = name === 'walk' || name === 'idle' ? Math.sin(this.animT * (this.variant.bobSpeed + 0.4)) * this.variant.armSwing : 0;
+      if (name === 'victory') ctx.fillRect(front, this.y + 2, 12, 18);
+      else if (name === 'windup') ctx.fillRect(this.facing === 1 ? this.x + this.w - 18 : this.x + 6, this.y + 8, 12, 18);
+      else if (name === 'attack') ctx.fillRect(this.facing === 1 ? this.x + this.w - 6 : this.x - 14, this.y + 26, 20, 10);
+      else ctx.fillRect(front, this.y + 24 + armSwing, 12, 18);
+      ctx.fillRect(back, name === 'victory' ? this.y + 2 : this.y + 28 - armSwing, 12, 18);
       // Head
       roundedRect(this.x + 8, this.y - 4, this.w - 16, 26, 8, '#f8d6c4', true);
       // Hair: long curly black (slightly brown)
@@ -395,67 +1562,401 @@
         ctx.arc(cx, cy, 6, 0, TAU);
         ctx.fill();
       }
-      // Eyes
+      // Eyes (squeezed shut when hurt or down)
+      ctx.fillStyle = '#161616';
+      const shut = name === 'hurt' || name === 'ko';
+      ctx.fillRect(this.x + (this.facing === 1 ? 26 : 14), this.y + (shut ? 7 : 5), 4, shut ? 2 : 4);
+      ctx.fillRect(this.x + (this.facing === 1 ? 34 : 22), this.y + (shut ? 8 : 6), 4, shut ? 2 : 4);
+      ctx.restore();
+    }
+  }
+
+  // Perks: unlockable per-player abilities, plugged in through registerPerk(). A perk runs on a duration
+  // (counts down once switched on) or on fuel (spent by its own tick hook), then cools down. Optional parts:
+  // speedMult/jumpMult apply while active, lift raises Fer's sprite, start/stop(player, perk) fire on switching,
+  // tick(player, input, perk, dt) runs every step while unlocked, drawUnder/drawOver(player, perk) draw around Fer.
+  const PERKS = new Map();
+  function registerPerk(def) { PERKS.set(def.id, def); }
+  const unlockedPerks = () => [...PERKS.values()].filter(def => state.unlocks[def.id]);
+  function perkState(player, def) {
+    let perk = player.perks.get(def.id);
+    if (!perk) player.perks.set(def.id, perk = { active: false, meterMs: def.durationMs ?? def.fuelMs ?? 0, cooldownMs: 0 });
+    return perk;
+  }
+  function perkMult(player, stat) {
+    let m = 1;
+    for (const [id, perk] of player.perks) if (perk.active) m *= PERKS.get(id)[stat] ?? 1;
+    return m;
+  }
+  function startPerk(player, def) {
+    const perk = perkState(player, def);
+    if (perk.active || perk.cooldownMs > 0 || (def.fuelMs && perk.meterMs <= 0)) return false;
+    perk.active = true;
+    if (def.durationMs) perk.meterMs = def.durationMs;
+    if (def.start) def.start(player, perk);
+    return true;
+  }
+  function stopPerk(player, def) {
+    const perk = perkState(player, def);
+    if (!perk.active) return;
+    perk.active = false;
+    perk.cooldownMs = def.cooldownMs;
+    if (def.stop) def.stop(player, perk);
+  }
+  // One player's perks for one tick: Next Perk cycles the selection, Use Perk switches the selected one on or off
+  function updatePerks(player, input, prev, dt) {
+    const owned = unlockedPerks();
+    if (!owned.length) return;
+    const pressed = a => held(input, a) && !held(prev, a);
+    const who = state.players.length > 1 ? `${player.name}: ` : '';
+    let index = owned.findIndex(def => def.id === player.selectedPerk);
+    if (index < 0) { index = 0; player.selectedPerk = owned[0].id; }
+    if (pressed('perkNext') && owned.length > 1) {
+      const def = owned[(index + 1) % owned.length];
+      player.selectedPerk = def.id;
+      showToast(`${who}${def.icon} ${def.name}`);
+    }
+    if (pressed('perk')) {
+      const def = PERKS.get(player.selectedPerk);
+      const perk = perkState(player, def);
+      if (perk.active) stopPerk(player, def);
+      else if (!startPerk(player, def)) showToast(`${who}${def.name} ${perk.cooldownMs > 0 ? 'is recharging' : 'is out of fuel'}`);
+    }
+    for (const def of owned) {
+      const perk = perkState(player, def);
+      if (perk.cooldownMs > 0) perk.cooldownMs -= dt * 16;
+      if (def.tick) def.tick(player, input, perk, dt);
+      if (perk.active && def.durationMs) {
+        perk.meterMs -= dt * 16;
+        if (perk.meterMs <= 0) { perk.meterMs = 0; stopPerk(player, def); }
+      }
+    }
+  }
+  function stopAllPerks(player) {
+    for (const id of player.perks.keys()) stopPerk(player, PERKS.get(id));
+  }
+  // Replays from before the registry: either player's Use Perk switched every unlocked perk on or off for both
+  // (kept in unlocks._active, as it was recorded), the horse nudged Fer along and the jetpack hovered while jump was held
+  const CLASSIC_PERKS = 'classic';
+  function toggleClassicPerks() {
+    if (state.mode === 'versus' || !state.inputs.some((input, i) => held(input, 'perk') && !held(state.prevInputs[i], 'perk'))) return;
+    state.unlocks._active = !state.unlocks._active;
+    showToast(state.unlocks._active ? 'Perks ON' : 'Perks OFF');
+  }
+  function applyClassicPerks(players) {
+    if (state.mode === 'versus' || !state.unlocks._active) return;
+    players.forEach((player, i) => {
+      if (player.down) return;
+      if (state.unlocks.horse) player.vx *= 1.02;
+      if (state.unlocks.jetpack && held(state.inputs[i], 'jump')) {
+        player.vy = Math.min(player.vy, 1.2);
+        if (!player.onGround) spawnBurst(player.x + player.w / 2, player.y + player.h, '#ffffff', 1, 1);
+      }
+    });
+  }
+
+  // Horse: ride faster and jump higher for a while
+  registerPerk({
+    id: 'horse', name: 'Horse', icon: '🐴', unlockLevel: 1,
+    durationMs: 8000, cooldownMs: 6000, speedMult: 1.6, jumpMult: 1.15, lift: 20,
+    start(player) {
+      spawnBurst(player.x + player.w / 2, player.y + player.h, '#c68642', 14, 3);
+      AudioEngine.chord([392, 493.88, 587.33], 0.2, 'triangle', 0.7);
+    },
+    stop(player) {
+      spawnBurst(player.x + player.w / 2, player.y + player.h, '#c68642', 10, 2);
+      AudioEngine.playTone(294, 0.12, 'triangle', 0.4);
+    },
+    drawUnder(player) {
+      const x = player.x; const y = player.y + player.h - 36; const f = player.facing;
+      const gallop = Math.abs(player.vx) > 0.5 ? Math.sin(player.animT * 0.5) * 4 : 0;
+      ctx.fillStyle = '#8d5524';
+      // Legs
+      for (const [lx, phase] of [[-8, 1], [4, -1], [player.w - 8, -1], [player.w + 4, 1]]) ctx.fillRect(x + lx, y + 18 + phase * gallop * 0.3, 7, 18 - phase * gallop * 0.5);
+      // Body, neck + head, mane, tail
+      roundedRect(x - 14, y, player.w + 28, 24, 10, '#a0522d', true);
+      const hx = f === 1 ? x + player.w + 6 : x - 30;
+      roundedRect(hx + (f === 1 ? 0 : 12), y - 16, 12, 24, 5, '#a0522d', true);
+      roundedRect(hx, y - 22, 24, 14, 6, '#a0522d', true);
+      ctx.fillStyle = '#3b2314';
+      ctx.fillRect(hx + (f === 1 ? -2 : 18), y - 24, 8, 20);
+      ctx.fillRect(f === 1 ? x - 22 : x + player.w + 14, y + 2 + gallop * 0.5, 8, 22);
       ctx.fillStyle = '#161616';
-      ctx.fillRect(this.x + (this.facing === 1 ? 26 : 14), this.y + 5, 4, 4);
-      ctx.fillRect(this.x + (this.facing === 1 ? 34 : 22), this.y + 6, 4, 4);
+      ctx.fillRect(hx + (f === 1 ? 16 : 4), y - 18, 3, 3);
+    }
+  });
+
+  // Jetpack: hold jump in the air to fly until the fuel runs out; refuels on the ground
+  registerPerk({
+    id: 'jetpack', name: 'Jetpack', icon: '🚀', unlockLevel: 2,
+    fuelMs: 2400, cooldownMs: 1500, refuelRate: 0.6,
+    tick(player, input, perk, dt) {
+      perk.thrusting = perk.active && !player.down && !player.onGround && held(input, 'jump') && perk.meterMs > 0;
+      if (perk.thrusting) {
+        player.vy = player.y <= 8 ? Math.max(player.vy, 0) : Math.max(player.vy - 1.25 * dt, -5.5); // ceiling at the top of the screen
+        perk.meterMs -= dt * 16;
+        spawnBurst(player.x + (player.facing === 1 ? 4 : player.w - 4), player.y + 44, '#ffb347', 1, 1.5);
+        if (perk.meterMs <= 0) {
+          perk.meterMs = 0;
+          stopPerk(player, this);
+          showToast(`${player.name}'s jetpack sputters out!`);
+        }
+      } else if (player.onGround && perk.cooldownMs <= 0) {
+        perk.meterMs = Math.min(this.fuelMs, perk.meterMs + this.refuelRate * dt * 16);
+      }
+    },
+    drawUnder(player, perk) {
+      const bx = player.facing === 1 ? player.x - 6 : player.x + player.w - 8;
+      roundedRect(bx, player.y + 18, 14, 26, 4, '#9aa0a6', true);
+      ctx.fillStyle = '#ff6b6b';
+      ctx.fillRect(bx + 3, player.y + 22, 8, 4);
+      if (perk.thrusting) {
+        const len = 10 + Math.random() * 8;
+        ctx.fillStyle = '#ffd166';
+        ctx.beginPath();
+        ctx.moveTo(bx + 2, player.y + 44);
+        ctx.lineTo(bx + 7, player.y + 44 + len);
+        ctx.lineTo(bx + 12, player.y + 44);
+        ctx.fill();
+      }
+    }
+  });
+
+  // Player slots: P1 is the original Fer, P2 a recolored Fer for co-op
+  const PLAYER_LOOKS = [
+    { name: 'Fer', dress: '#ff9ac6', arms: '#ffd166', bar: '#ff4d8d', x: 120 },
+    { name: 'Fer 2', dress: '#8affc1', arms: '#73a7ff', bar: '#5dd39e', x: 200 }
+  ];
+
+  // Fer's moveset. Presses wait a few ticks for Fer to be free to act on them (mid-swing, just before landing),
+  // and special moves are read off her last few presses. Classic replays predate all of it: flowers fire on hold
+  // and nothing is buffered.
+  const INPUT_BUFFER_TICKS = 8;
+  const BUFFERED_ACTIONS = ['kiss', 'hug', 'flower', 'dash'];
+  const COMMAND_WINDOW_TICKS = 24; // a whole special command must fit in this
+  const FLOWERS_ONLY_BANS = ['kiss', 'hug', 'bomb'];
+  const PARRY_WINDOW_MS = 150; // a block this fresh parries
+  const PARRY_LOCK_MS = 400; // re-pressing block sooner doesn't parry again
+  const BLOCK_CHIP = 0.25; // share of a blocked hit that gets through
+  const FLOWER_CHARGE_MS = 1000; // a full charge doubles the flower
+  const AIR_DASH = { speed: 11, ms: 180, iframesMs: 220 };
+  // Kiss-hug string: press Hug again during a step to chain into the next. Each step is an attack (see strike)
+  // that comes out after startMs, with a lunge. Steps land at least 300ms apart, past a plush's invulnerability
+  // after the last one.
+  const HUG_COMBO = [
+    { name: 'Peck', startMs: 60, activeMs: 100, recoverMs: 240, lunge: 2, box: { x: -8, y: 14, w: 30, h: 40 }, damage: 6, knockback: 1.5, hitstunMs: 150 },
+    { name: 'Hug', startMs: 80, activeMs: 100, recoverMs: 240, lunge: 3, box: { x: -8, y: 14, w: 34, h: 40 }, damage: 8, knockback: 1.5, hitstunMs: 150 },
+    { name: 'Squeeze', startMs: 120, activeMs: 120, recoverMs: 360, lunge: 4, box: { x: -8, y: 14, w: 40, h: 40 }, damage: 14, knockback: 6, bump: 5, hitstunMs: 300 }
+  ];
+  const HUG_FINISH_COOLDOWN_MS = 300;
+  // Commands end on a button; 'forward' is a fresh press of either direction (Fer turns to face it)
+  const SPECIAL_MOVES = [
+    {
+      name: 'Heart Burst', icon: '💘', command: ['down', 'forward', 'kiss'], cooldownMs: 1500,
+      perform(player) {
+        const px = player.facing === 1 ? player.x + player.w - 8 : player.x - 10;
+        for (let i = 0; i < 5; i++) {
+          const proj = new Projectile(px, player.y + 18, 18, 16, 'heart', player.facing, 10, player);
+          proj.vx = player.facing * 6.5;
+          proj.vy = (i - 2) * 1;
+          projectiles.push(proj);
+        }
+        player.kissCooldownMs = player.kissCooldownBaseMs;
+        AudioEngine.chord([880, 1108.73, 1318.51], 0.14, 'sine', 0.6);
+      }
+    },
+    {
+      name: 'Hug Rush', icon: '🤗', command: ['forward', 'forward', 'hug'], cooldownMs: 1500,
+      perform(player) {
+        player.startMelee(HUG_COMBO.length - 1, 9); // straight to the squeeze, from much further out
+        spawnBurst(player.x + player.w / 2, player.y + player.h - 8, '#ffffff', 8, 2);
+      }
+    },
+    {
+      name: 'Flower Bloom', icon: '🌸', command: ['down', 'down', 'flower'], cooldownMs: 2000,
+      perform(player) {
+        const cx = player.x + player.w / 2 - 6;
+        for (let i = 0; i < 6; i++) {
+          const a = (i / 5) * Math.PI;
+          const proj = new Projectile(cx, player.y + 10, 12, 12, 'flower', Math.cos(a) < 0 ? -1 : 1, 10, player);
+          proj.vx = Math.cos(a) * 5;
+          proj.vy = -Math.sin(a) * 5 - 2;
+          projectiles.push(proj);
+        }
+        player.flowerCooldownMs = 800;
+        player.charge = null;
+        AudioEngine.chord([523.25, 659.25, 783.99, 1046.5], 0.22, 'triangle', 0.8);
+      }
     }
+  ];
+
+  // A Fer's hit on a plush: counts for the combo (if it got past the plush's invulnerability and is `scored`) and
+  // its threat. Returns whether it was the finishing blow.
+  function hurtEnemy(enemy, damage, owner, scored = true) {
+    const before = enemy.health;
+    const killed = enemy.takeDamage(damage);
+    if (enemy.health < before) { if (scored) scoreHit(enemy); dropFrom(enemy, 'hit'); }
+    enemy.noteThreat(owner, damage);
+    return killed;
   }
 
   class Player extends Fighter {
-    constructor() {
-      super(120, GROUND_Y - 72, '#ff9ac6', '#ffd166');
+    constructor(index = 0) {
+      const look = PLAYER_LOOKS[index];
+      super(look.x, GROUND_Y - 72, look.dress, look.arms);
+      this.index = index;
+      this.barColor = look.bar;
+      this.hurtParts = HURT_PARTS.fer;
       this.kissCooldownMs = 0;
       this.flowerCooldownMs = 0;
       this.bombCooldownMs = 0;
+      this.hugCooldownMs = 0;
+      this.specialMs = 0;
+      this.bombs = state.mode === 'survival' ? SURVIVAL_BOMBS : Infinity;
+      this.buffs = {}; // pickup type -> ms left
       this.speed = 0.65;
       this.jumpStrength = 15;
-      this.name = 'Fer';
-    }
-    handleInput(dt) {
-      const left = keysDown.has('ArrowLeft') || keysDown.has('a');
-      const right = keysDown.has('ArrowRight') || keysDown.has('d');
-      const jump = keysDown.has('ArrowUp') || keysDown.has('w') || keysDown.has(' ');
-      const kiss = keysDown.has('z') || keysDown.has('j');
-      const flower = keysDown.has('x') || keysDown.has('k');
-      const bomb = keysDown.has('c') || keysDown.has('l');
-
-      if (left && !right) {
-        this.vx -= this.speed * dt;
-        this.facing = -1;
-      } else if (right && !left) {
-        this.vx += this.speed * dt;
-        this.facing = 1;
-      }
-      if (jump && this.onGround) {
-        this.vy = -this.jumpStrength;
+      this.name = look.name;
+      this.down = false; // knocked out; partner fights on until the next wave
+      this.perks = new Map(); // perk id -> { active, meterMs, cooldownMs }
+      this.selectedPerk = null;
+      // Moveset state
+      this.prevInput = NO_INPUT;
+      this.clock = 0; // ticks of input seen, for the buffer and command log
+      this.buffer = {}; // action -> tick it was pressed, until used or stale
+      this.commands = []; // recent { token, tick }, newest last
+      this.melee = null; // { index, ms, lunge, hit, chain } during a hug combo step
+      this.airDash = null; // { dir, ms }
+      this.airDashes = 1; // refilled on landing
+      this.blocking = false;
+      this.blockMs = 0; // since block was pressed
+      this.parryLockMs = 0;
+      this.charge = null; // ms a flower has been charging, while flower is held
+      this.throwMs = 0; // a kiss, flower or bomb just left her hand (animation only)
+      // Shop upgrades for this run (both Fers share them)
+      const up = state.upgrades;
+      this.maxHealth = 100 + 20 * (up.maxHealth || 0);
+      this.health = this.maxHealth;
+      this.kissCooldownBaseMs = 300 - 40 * (up.kissCooldown || 0);
+      this.bombRadius = 70 + 20 * (up.bombRadius || 0);
+      this.kissCount = 1 + (up.extraProjectile || 0);
+      // Outfit is cosmetic only, and only player one's (player two keeps their own colors)
+      if (index === 0) {
+        this.colorPrimary = cosmeticFor('dress', profile.outfit.dress).color;
+        this.bootColor = cosmeticFor('boots', profile.outfit.boots).color;
+      }
+    }
+    handleInput(dt, input) {
+      const prev = this.prevInput;
+      this.prevInput = input;
+      this.clock++;
+      const classic = state.classicMoves;
+      const allowed = a => !(state.modifiers.flowersOnly && FLOWERS_ONLY_BANS.includes(a));
+      const pressed = a => allowed(a) && held(input, a) && !held(prev, a);
+      const jump = held(input, 'jump');
+      const kiss = allowed('kiss') && held(input, 'kiss');
+      const flower = held(input, 'flower');
+      const bomb = allowed('bomb') && held(input, 'bomb');
+      if (!classic) for (const a of BUFFERED_ACTIONS) if (pressed(a)) this.buffer[a] = this.clock;
+      const buffered = a => this.clock - (this.buffer[a] ?? -Infinity) <= INPUT_BUFFER_TICKS;
+      const use = a => { delete this.buffer[a]; };
+      // Command log: fresh directions and buttons
+      const dir = Math.sign(input.moveX);
+      if (dir && dir !== Math.sign(prev.moveX)) this.logCommand('forward');
+      for (const a of ['down', 'kiss', 'hug', 'flower']) if (pressed(a)) this.logCommand(a);
+
+      // Block: hold to guard the side Fer faces; a fresh block parries
+      if (held(input, 'block') && !this.melee && !this.airDash) {
+        if (!this.blocking) {
+          this.blockMs = this.parryLockMs > 0 ? PARRY_WINDOW_MS + 1 : 0;
+          this.parryLockMs = PARRY_LOCK_MS;
+          this.charge = null;
+        } else this.blockMs += dt * 16;
+        this.blocking = true;
+      } else this.blocking = false;
+      // Air dash: a burst sideways with a moment of invulnerability, once per jump
+      if (this.onGround) this.airDashes = 1;
+      if (buffered('dash') && !this.onGround && this.airDashes > 0 && !this.melee && !this.blocking && !this.airDash) {
+        use('dash');
+        this.airDashes--;
+        this.airDash = { dir: dir || this.facing, ms: AIR_DASH.ms };
+        this.facing = this.airDash.dir;
+        this.invMs = Math.max(this.invMs, AIR_DASH.iframesMs);
+        this.charge = null;
+        AudioEngine.playTone(660, 0.08, 'triangle', 0.35);
+      }
+      if (this.airDash) {
+        this.vx = this.airDash.dir * AIR_DASH.speed;
+        this.vy = 0;
+        spawnBurst(this.x + this.w / 2 - this.airDash.dir * 16, this.y + this.h / 2, '#ffffff', 1, 1);
+        if ((this.airDash.ms -= dt * 16) <= 0) this.airDash = null;
+      }
+
+      let locked = !!(this.melee || this.airDash || this.blocking); // no walking, jumping or attacking
+      if (input.moveX !== 0 && !locked) {
+        this.vx += this.speed * perkMult(this, 'speedMult') * dt * input.moveX;
+        this.facing = input.moveX > 0 ? 1 : -1;
+      }
+      if (jump && this.onGround && !locked) {
+        this.vy = -this.jumpStrength * perkMult(this, 'jumpMult');
         this.onGround = false;
       }
-      if (kiss && this.kissCooldownMs <= 0) {
-        this.kissCooldownMs = 300;
+      const special = !classic && !locked && this.specialMs <= 0 && SPECIAL_MOVES.find(m => this.readCommand(m.command));
+      if (special) {
+        use(special.command[special.command.length - 1]);
+        this.commands.length = 0;
+        this.specialMs = special.cooldownMs;
+        special.perform(this);
+        this.throwMs = THROW_ANIM_MS;
+        showToast(`${state.players.length > 1 ? `${this.name}: ` : ''}${special.icon} ${special.name}!`, 700);
+        locked = !!this.melee;
+      }
+      // Hug combo: Hug starts it, Hug again during a step chains the next
+      if (buffered('hug') && this.melee && !this.melee.chain) {
+        use('hug');
+        this.melee.chain = true;
+      } else if (buffered('hug') && !locked && this.hugCooldownMs <= 0) {
+        use('hug');
+        this.startMelee(0);
+        locked = true;
+      }
+      if (this.melee) this.updateMelee(dt);
+      if ((kiss || buffered('kiss')) && !locked && this.kissCooldownMs <= 0) {
+        use('kiss');
+        this.kissCooldownMs = this.kissCooldownBaseMs * (buffed(this, 'rapid') ? RAPID_KISS_MULT : 1);
+        this.throwMs = THROW_ANIM_MS;
         const px = this.facing === 1 ? this.x + this.w - 8 : this.x - 10;
         const py = this.y + 18;
-        const proj = new Projectile(px, py, 18, 16, 'heart', this.facing, 10);
-        proj.vx = this.facing * 6;
-        proj.vy = -0.5;
-        projectiles.push(proj);
+        // Extra hearts (Kiss Spread) fan out above and below
+        for (let i = 0; i < this.kissCount; i++) {
+          const proj = new Projectile(px, py, 18, 16, 'heart', this.facing, 10, this);
+          proj.vx = this.facing * 6;
+          proj.vy = -0.5 + (i % 2 ? -1 : 1) * Math.ceil(i / 2) * 0.9;
+          projectiles.push(proj);
+        }
         AudioEngine.playTone(880, 0.08, 'sine', 0.35);
       }
-      if (flower && this.flowerCooldownMs <= 0) {
-        this.flowerCooldownMs = 800;
-        const px = this.facing === 1 ? this.x + this.w - 8 : this.x - 10;
-        const py = this.y + 10;
-        const proj = new Projectile(px, py, 16, 16, 'flower', this.facing, 18);
-        proj.vx = this.facing * 4.2;
-        proj.vy = -4.5;
-        projectiles.push(proj);
-        AudioEngine.chord([523.25, 659.25, 783.99], 0.18, 'triangle', 0.9); // C5 E5 G5
+      // Flowers: hold to charge, release to throw
+      if (classic) {
+        if (flower && this.flowerCooldownMs <= 0) this.throwFlower(0);
+      } else if (this.charge !== null) {
+        if (flower && !locked) this.charge = Math.min(this.charge + dt * 16, FLOWER_CHARGE_MS);
+        else {
+          if (!locked) this.throwFlower(this.charge / FLOWER_CHARGE_MS);
+          this.charge = null;
+        }
+      } else if (buffered('flower') && !locked && this.flowerCooldownMs <= 0) {
+        use('flower');
+        this.charge = 0;
       }
-      if (bomb && this.bombCooldownMs <= 0) {
+      if (bomb && !locked && this.bombCooldownMs <= 0 && this.bombs > 0) {
         this.bombCooldownMs = 2400;
+        this.bombs--;
+        this.throwMs = THROW_ANIM_MS;
         const px = this.facing === 1 ? this.x + this.w - 8 : this.x - 14;
         const py = this.y + 4;
-        const proj = new Projectile(px, py, 20, 20, 'bomb', this.facing, 22);
+        const proj = new Projectile(px, py, 20, 20, 'bomb', this.facing, 22, this);
+        proj.radius = this.bombRadius;
         proj.vx = this.facing * 3.2;
         proj.vy = -6.5;
         projectiles.push(proj);
@@ -465,85 +1966,562 @@
       if (this.kissCooldownMs > 0) this.kissCooldownMs -= dt * 16;
       if (this.flowerCooldownMs > 0) this.flowerCooldownMs -= dt * 16;
       if (this.bombCooldownMs > 0) this.bombCooldownMs -= dt * 16;
+      if (this.hugCooldownMs > 0) this.hugCooldownMs -= dt * 16;
+      if (this.specialMs > 0) this.specialMs -= dt * 16;
+      if (this.parryLockMs > 0) this.parryLockMs -= dt * 16;
+      for (const type in this.buffs) if ((this.buffs[type] -= dt * 16) <= 0) delete this.buffs[type];
     }
-    update(dt) {
-      this.handleInput(dt);
-      super.updatePhysics(dt);
+    logCommand(token) {
+      this.commands.push({ token, tick: this.clock });
+      if (this.commands.length > 8) this.commands.shift();
     }
-    draw() {
-      this.drawBase();
+    // Whether the log ends with this command, finished this tick and entered quickly enough
+    readCommand(command) {
+      const log = this.commands.slice(-command.length);
+      return log.length === command.length && log.every((c, i) => c.token === command[i]) &&
+        log[log.length - 1].tick === this.clock && log[0].tick >= this.clock - COMMAND_WINDOW_TICKS;
+    }
+    // charge: 0 (a tap) to 1 (fully charged), growing the flower up to double size and damage
+    throwFlower(charge) {
+      this.flowerCooldownMs = 800;
+      this.throwMs = THROW_ANIM_MS;
+      const px = this.facing === 1 ? this.x + this.w - 8 : this.x - 10;
+      const py = this.y + 10;
+      const grow = (1 + charge) * (buffed(this, 'giant') ? GIANT_FLOWER_MULT : 1);
+      const proj = new Projectile(px, py - (grow - 1) * 8, 16 * grow, 16 * grow, 'flower', this.facing, Math.round(18 * grow), this);
+      proj.vx = this.facing * 4.2;
+      proj.vy = -4.5;
+      projectiles.push(proj);
+      AudioEngine.chord([523.25, 659.25, 783.99], 0.18, 'triangle', 0.9); // C5 E5 G5
+    }
+    startMelee(index, lunge = HUG_COMBO[index].lunge) {
+      this.melee = { index, ms: 0, lunge, chain: false };
+      this.charge = null;
+    }
+    // One tick of a combo step: lunge in and put the hitbox out as it starts
+    updateMelee(dt) {
+      const m = this.melee;
+      const step = HUG_COMBO[m.index];
+      const t = m.ms;
+      m.ms += dt * 16;
+      if (t < step.startMs && m.ms >= step.startMs) {
+        this.vx += this.facing * m.lunge;
+        AudioEngine.playTone(620 + m.index * 120, 0.07, 'triangle', 0.35);
+        this.strikeWith(step, state.enemies, (enemy, killed) => {
+          spawnBurst(this.facing === 1 ? enemy.x : enemy.x + enemy.w, this.y + 34, '#ff8fab', 10, 3);
+          if (step.bump) triggerShake(200, 5);
+          if (killed) onEnemyDefeated(enemy);
+        });
+      }
+      if (m.ms < step.startMs + step.activeMs + step.recoverMs) return;
+      const last = m.index === HUG_COMBO.length - 1;
+      if (m.chain && !last) this.startMelee(m.index + 1);
+      else {
+        this.melee = null;
+        if (last) this.hugCooldownMs = HUG_FINISH_COOLDOWN_MS;
+      }
+    }
+    // Getting hit knocks Fer out of whatever she was doing
+    stun(ms) {
+      super.stun(ms);
+      this.melee = null;
+      this.strikes = [];
+      this.airDash = null;
+      this.charge = null;
+    }
+    // Blocking covers the side Fer faces
+    guarding(source) {
+      return this.blocking && Math.sign(source.x + source.w / 2 - (this.x + this.w / 2)) !== -this.facing;
+    }
+    parrying() {
+      return this.blocking && this.blockMs <= PARRY_WINDOW_MS;
+    }
+    // source: whatever dealt the hit, so a block can stop it; a parry stops it cold and knocks a plush back.
+    // A shield soaks up every hit while it lasts.
+    takeDamage(amount, source = null) {
+      if (source && this.guarding(source)) {
+        if (this.parrying()) {
+          if (source instanceof Plush) { source.vx = this.facing * 5; source.dash = null; }
+          spawnBurst(this.x + this.w / 2 + this.facing * 24, this.y + this.h / 2, '#ffffff', 12, 3);
+          AudioEngine.playTone(1046.5, 0.1, 'square', 0.4);
+          return false;
+        }
+        amount = Math.ceil(amount * BLOCK_CHIP);
+      }
+      if (!buffed(this, 'shield')) return super.takeDamage(amount);
+      if (this.invMs <= 0) {
+        this.invMs = 300;
+        spawnBurst(this.x + this.w / 2, this.y + this.h / 2, PICKUP_TYPES.shield.color, 8, 2);
+      }
+      return false;
+    }
+    // Guard arc while blocking (white while it would parry), a swoosh on active hug steps, the flower charging in hand
+    drawMoves(lift) {
+      const cx = this.x + this.w / 2; const cy = this.y + this.h / 2 - lift;
+      if (this.blocking) {
+        ctx.strokeStyle = this.parrying() ? '#ffffff' : '#8affc1';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        const toward = this.facing === 1 ? 0 : Math.PI;
+        ctx.arc(cx, cy, 44, toward - 1, toward + 1);
+        ctx.stroke();
+      }
+      const m = this.melee;
+      if (m) {
+        const step = HUG_COMBO[m.index];
+        if (m.ms >= step.startMs && m.ms < step.startMs + step.activeMs) {
+          const box = placeBox(this, step.box);
+          ctx.strokeStyle = 'rgba(255,143,171,0.8)';
+          ctx.lineWidth = 3 + m.index * 2;
+          const toward = this.facing === 1 ? 0 : Math.PI;
+          ctx.beginPath();
+          ctx.arc(this.facing === 1 ? box.x : box.x + box.w, box.y + box.h / 2 - lift, box.w * 0.8, toward - 1.1, toward + 1.1);
+          ctx.stroke();
+          if (m.index === HUG_COMBO.length - 1) drawHeart(box.x + box.w / 2 - 8, box.y - 12 - lift, 16, 14, '#ff4d8d');
+        }
+      }
+      if (this.charge !== null) {
+        const grow = 1 + this.charge / FLOWER_CHARGE_MS;
+        const size = 12 * grow;
+        const hx = this.facing === 1 ? this.x + this.w - 4 : this.x - size + 4;
+        if (this.charge >= FLOWER_CHARGE_MS && Math.floor(now() / 80) % 2) drawBubble(hx + size / 2, this.y + 16 - lift, size * 0.8, 0.3);
+        drawFlower(hx, this.y + 16 - size / 2 - lift, size, size, '#ffd166');
+      }
+    }
+    spriteIds() { return [`fer${this.index + 1}`, 'fer']; }
+    animate(dt) {
+      if (this.throwMs > 0) this.throwMs -= dt * 16;
+      super.animate(dt);
+    }
+    // Through the break after a won wave (or round)
+    cheering() { return state.interludeMs > 0 && (!state.match || state.match.rounds.at(-1)?.winner === 0); }
+    busyState() { return this.melee || this.throwMs > 0 ? 'attack' : this.charge !== null ? 'windup' : null; }
+    update(dt, input) {
+      this.updateStrikes(dt, state.enemies);
+      this.handleInput(dt, this.stunMs > 0 ? NO_INPUT : input);
+      super.updatePhysics(dt);
+    }
+    draw() {
+      if (this.down) {
+        ctx.save();
+        ctx.globalAlpha = 0.45;
+        this.drawBase();
+        ctx.restore();
+        return;
+      }
+      // Active perks draw around Fer (a horse underneath, a jetpack on her back) and can raise her up
+      const active = [...this.perks].filter(([, p]) => p.active).map(([id, p]) => [PERKS.get(id), p]);
+      for (const [def, p] of active) if (def.drawUnder) def.drawUnder(this, p);
+      const lift = active.reduce((sum, [def]) => sum + (def.lift || 0), 0);
+      ctx.save();
+      ctx.translate(0, -lift);
+      this.drawBase();
+      ctx.restore();
+      for (const [def, p] of active) if (def.drawOver) def.drawOver(this, p);
+      // Shield bubble, flickering as it runs out
+      const shieldMs = this.buffs.shield || 0;
+      if (shieldMs > 0 && (shieldMs > 1500 || Math.floor(shieldMs / 100) % 2)) drawBubble(this.x + this.w / 2, this.y + this.h / 2 - lift, 52, 0.5);
+      this.drawMoves(lift);
+      if (state.players.length > 1) {
+        ctx.fillStyle = this.barColor;
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`P${this.index + 1}`, this.x + this.w / 2, this.y - 10 - lift);
+        ctx.textAlign = 'left';
+      }
     }
   }
 
+  // Plush AI: a small state machine. Every so often (the difficulty's reactionMs) a plush looks at the fight and
+  // picks a state: approach, hold (at the distance its profile likes), retreat (too close, hurt, or backing off
+  // after an attack), evade (hop over an incoming heart or flower) or flee (get out from under a bomb). It acts on
+  // what it saw at that look, so slower reactions mean later attacks and dodges. The roster's "ai" picks a profile:
+  //   range       distance to the target it likes to fight at, [min, max] (max defaults to the plush's approachRange)
+  //   aggression  attacks come this much faster (cooldowns are divided by it)
+  //   dodge       chance to hop over a shot it sees coming
+  //   retreatAt   backs off while its health is below this fraction
+  //   backoffMs   backs off for this long after each attack
+  // Difficulty scales reaction time, aggression, dodging and how long attacks are telegraphed. Replays from before
+  // this keep the original approach-and-swipe AI.
+  const CLASSIC_AI = 'classic';
+  const CLASSIC_LEDGES = 'classic';
+  const AI_PROFILES = {
+    balanced: { range: [0, null], aggression: 1, dodge: 0.5, retreatAt: 0, backoffMs: 0 },
+    aggressive: { range: [0, 70], aggression: 1.25, dodge: 0.3, retreatAt: 0, backoffMs: 0 },
+    zoning: { range: [190, 320], aggression: 1, dodge: 0.8, retreatAt: 0, backoffMs: 0 },
+    defensive: { range: [100, 190], aggression: 0.9, dodge: 0.6, retreatAt: 0.35, backoffMs: 700 }
+  };
+  const settingsDifficulty = () => (DIFFICULTIES[Save.settings().difficulty] ? Save.settings().difficulty : 'normal');
+  const AI_FLEE_MS = 600;
+  // A plush hops over a shot this many ticks before it arrives, to be high up as it passes
+  const AI_DODGE_TICKS = [8, 22];
+
   class Plush extends Fighter {
-    constructor(waveConfig) {
-      const w = 92; const h = 118;
-      super(WIDTH - 180, GROUND_Y - h, waveConfig.primary, waveConfig.secondary);
+    constructor(def, controlled = false, x = WIDTH - 88 - def.body.w) {
+      const { w, h } = def.body;
+      super(clearSpot(x, w), GROUND_Y - h, def.colors.primary, def.colors.secondary);
       this.w = w; this.h = h;
-      this.maxHealth = waveConfig.health;
+      this.hurtParts = HURT_PARTS.plush;
+      this.maxHealth = def.health;
       this.health = this.maxHealth;
-      this.speed = waveConfig.speed;
-      this.name = waveConfig.name;
-      this.attackCooldownMs = 1000;
+      this.speed = def.speed;
+      this.name = def.name;
+      this.approachRange = def.approachRange ?? 120;
+      // Every attack keeps its own cooldown; only one attack winds up at a time
+      this.attacks = def.attacks.map(spec => ({ spec, cooldownMs: spec.initialMs ?? 1000 }));
+      this.windup = null;
       this.attackWindupMs = 0;
-      this.projectileCooldownMs = 1500;
+      this.leap = null; // leap attack in the air; lands with a shockwave
+      this.dash = null; // { spec, ms, hit } while charging
+      this.barrage = null; // { spec, left, nextMs } while firing a volley
+      this.summoner = null; // boss that summoned this plush
       this.variant = pickVariant();
+      this.threat = new Map(); // fighter -> recent damage taken from them
+      this.target = null;
+      this.retargetMs = 0;
+      this.controlled = controlled; // driven by player two's input in versus instead of ai()
+      this.jumpStrength = 13;
+      this.hopMs = 0; // until the AI may jump again
+      this.profile = AI_PROFILES[def.ai] || AI_PROFILES.balanced;
+      this.sprite = def.sprite; // its sheet in sprites.json, if any
+      // The AI's state, and what it saw the last time it looked: distance to and height of the target
+      this.mind = { state: 'approach', thinkMs: 0, stateMs: 0, dist: Infinity, rise: 0, from: 0, seen: new WeakSet() };
     }
-    ai(dt, player) {
-      // Face the player
+    // Hitstun interrupts an attack being wound up
+    stun(ms) {
+      super.stun(ms);
+      this.windup = null;
+    }
+    noteThreat(source, amount) {
+      if (!source) return;
+      this.threat.set(source, (this.threat.get(source) || 0) + amount);
+    }
+    // Pick who to chase: closest standing player, biased toward whoever has been hurting us lately
+    chooseTarget(players) {
+      const alive = players.filter(p => !p.down);
+      if (!alive.length) return null;
+      const cx = this.x + this.w / 2;
+      let best = null; let bestScore = Infinity;
+      for (const p of alive) {
+        const dist = Math.abs(cx - (p.x + p.w / 2));
+        const score = dist - (this.threat.get(p) || 0) * 6 - (p === this.target ? 40 : 0); // sticky to avoid flip-flopping
+        if (score < bestScore) { bestScore = score; best = p; }
+      }
+      return best;
+    }
+    ai(dt, players) {
+      for (const [p, t] of this.threat) this.threat.set(p, t * Math.pow(0.995, dt));
+      this.retargetMs -= dt * 16;
+      if (!this.target || this.target.down || this.retargetMs <= 0) {
+        this.target = this.chooseTarget(players);
+        this.retargetMs = 500;
+      }
+      const player = this.target;
+      if (!player) return;
+      // Face the target
       this.facing = player.x > this.x ? 1 : -1;
+      if (!state.classicAi) { this.think(dt, player, players); return; }
       const dist = Math.abs((this.x + this.w / 2) - (player.x + player.w / 2));
 
-      // Movement: approach if far
-      if (dist > 120) {
+      // Movement: approach if far, or if the target stands up on a ledge
+      const rise = this.y + this.h - (player.y + player.h);
+      const climbing = player.onGround && rise > 24;
+      if (dist > this.approachRange || climbing) {
         this.vx += (this.facing === 1 ? this.speed : -this.speed) * 0.4 * dt;
       } else {
         this.vx *= 0.9;
       }
+      this.hop(dt, climbing, rise, dist, dist > this.approachRange);
 
-      // Attempt attacks
-      this.attackCooldownMs -= dt * 16;
-      this.projectileCooldownMs -= dt * 16;
-
-      if (this.attackWindupMs > 0) {
-        this.attackWindupMs -= dt * 16;
-        if (this.attackWindupMs <= 0) {
-          // Deliver swipe attack
-          const hitbox = this.facing === 1
-            ? { x: this.x + this.w - 14, y: this.y + 20, w: 36, h: 32 }
-            : { x: this.x - 22, y: this.y + 20, w: 36, h: 32 };
-          if (rectsOverlap(hitbox, player.rect)) {
-            const killed = player.takeDamage(14);
-            player.vx += this.facing * 3;
-            player.vy = -6;
-            triggerShake(220, 6);
-            spawnBurst(hitbox.x + hitbox.w / 2, hitbox.y + hitbox.h / 2, '#ffffff', 18, 4);
-            if (killed) onLose();
-            AudioEngine.playTone(196, 0.12, 'square', 0.5);
-          }
-          this.attackCooldownMs = randInt(600, 1200);
-        }
-      } else if (this.attackCooldownMs <= 0 && dist < 140) {
-        // Start windup
-        this.attackWindupMs = 220;
-        AudioEngine.playTone(300, 0.08, 'sawtooth', 0.3);
-      }
-
-      if (this.projectileCooldownMs <= 0 && dist >= 120) {
-        // Launch cotton puff
-        const px = this.facing === 1 ? this.x + this.w - 16 : this.x - 16;
-        const py = this.y + 24;
-        const puff = new Projectile(px, py, 20, 18, 'cotton', this.facing, 10);
-        puff.vx = this.facing * rand(2.4, 3.4);
-        puff.vy = rand(-3.2, -4.2);
-        projectiles.push(puff);
-        this.projectileCooldownMs = randInt(1200, 2000);
-        AudioEngine.playTone(330, 0.1, 'triangle', 0.35);
-      }
-    }
-    update(dt, player) {
-      this.ai(dt, player);
+      // Attempt attacks, in roster order, whenever they're off cooldown and the target is in range
+      this.tickCooldowns(dt);
+      for (const atk of this.attacks) {
+        if (atk === this.windup) this.updateWindup(dt, players);
+        else if (this.canStart(atk) && dist >= (atk.spec.minRange ?? 0) && dist < (atk.spec.maxRange ?? Infinity)) this.startAttack(atk, players);
+      }
+    }
+    // The state machine (see Plush AI). Looks at the fight every reactionMs, then moves and attacks on what it saw
+    think(dt, player, players) {
+      const mind = this.mind;
+      const skill = DIFFICULTIES[state.difficulty];
+      mind.thinkMs -= dt * 16;
+      mind.stateMs -= dt * 16;
+      if (mind.thinkMs <= 0) {
+        mind.thinkMs = skill.reactionMs;
+        mind.dist = Math.abs((this.x + this.w / 2) - (player.x + player.w / 2));
+        mind.rise = this.y + this.h - (player.y + player.h);
+        this.choose(player, skill);
+      }
+      // Shots are only noticed once they've been flying for a reaction time
+      if (mind.state !== 'flee') this.watchShots(skill);
+      const { dist, rise } = mind;
+      const climbing = player.onGround && rise > 24;
+      let dir = 0;
+      if (mind.state === 'approach') dir = this.facing;
+      else if (mind.state === 'retreat') dir = -this.facing;
+      else if (mind.state === 'flee') dir = this.x + this.w / 2 < mind.from ? -1 : 1;
+      // Up on a ledge over the target: walk off it (platforms can't be dropped through)
+      const descending = mind.state === 'approach' && player.onGround && rise < -24 && !state.classicLedges;
+      if (descending) dir = this.ledgeExit(player) || dir;
+      if (dir && !this.windup) this.vx += dir * this.speed * (mind.state === 'approach' ? 0.4 : 0.35) * dt;
+      else this.vx *= 0.9;
+      // Backing into a wall or a pit: jump it only when running from a bomb, otherwise stand and fight
+      const ahead = dir === 1 ? this.x + this.w + 30 : this.x - 30;
+      if (dir && dir !== this.facing && mind.state !== 'flee' && (this.wall || pitAt(ahead) || this.x <= 0 || this.x >= state.stageW - this.w)) {
+        this.vx = 0;
+        mind.state = 'hold';
+        dir = 0;
+      }
+      this.hop(dt, climbing && mind.state === 'approach', rise, dist, dir !== 0, dir || this.facing);
+
+      this.tickCooldowns(dt);
+      for (const atk of this.attacks) {
+        if (atk === this.windup) this.updateWindup(dt, players);
+        else if (mind.state !== 'flee' && this.canStart(atk) && dist >= (atk.spec.minRange ?? 0) && dist < (atk.spec.maxRange ?? Infinity)) this.startAttack(atk, players);
+      }
+    }
+    // Pick a state from the target's distance, our health and any bomb about to go off nearby
+    choose(player, skill) {
+      const mind = this.mind;
+      const cx = this.x + this.w / 2;
+      const bomb = projectiles.find(p => p.type === 'bomb' && p.ageMs >= skill.reactionMs && Math.abs(p.x + p.w / 2 - cx) < p.radius + this.w / 2 + 40);
+      if (bomb) {
+        Object.assign(mind, { state: 'flee', stateMs: AI_FLEE_MS, from: bomb.x + bomb.w / 2 });
+        return;
+      }
+      if (mind.stateMs > 0) return; // evading, fleeing or backing off: see it through
+      const [near, far] = this.profile.range;
+      const hurt = this.health / this.maxHealth < this.profile.retreatAt;
+      const climbing = player.onGround && mind.rise > 24;
+      const descending = player.onGround && mind.rise < -24 && !state.classicLedges;
+      if (climbing || descending || mind.dist > (far ?? this.approachRange)) mind.state = 'approach';
+      else if (mind.dist < near || (hurt && mind.dist < (far ?? this.approachRange))) mind.state = 'retreat';
+      else mind.state = 'hold';
+    }
+    // Which way to walk off what we stand on: the end nearer the target, unless that end is the stage's
+    ledgeExit(player) {
+      const under = [...state.stage.solids, ...state.stage.platforms].find(s => s.y === this.y + this.h && overlapsX(this, s));
+      if (!under) return 0;
+      const px = player.x + player.w / 2;
+      const left = under.x > 0; const right = under.x + under.w < state.stageW;
+      if (left && right) return Math.abs(px - under.x) < Math.abs(px - (under.x + under.w)) ? -1 : 1;
+      return left ? -1 : right ? 1 : 0;
+    }
+    // Evade: hop over a heart or flower on its way at us, if we're quick enough (and feel like it)
+    watchShots(skill) {
+      if (!this.onGround || this.leap || this.dash || this.windup || this.hopMs > 0) return;
+      const mind = this.mind;
+      const cx = this.x + this.w / 2;
+      for (const p of projectiles) {
+        if (!(p.owner instanceof Player) || p.type === 'bomb' || p.ageMs < skill.reactionMs || mind.seen.has(p)) continue;
+        const gap = cx - (p.x + p.w / 2);
+        const eta = gap / (p.vx || 1e-6);
+        if (eta < AI_DODGE_TICKS[0] || eta > AI_DODGE_TICKS[1] || p.y + p.h < this.y || p.y > this.y + this.h) continue;
+        mind.seen.add(p);
+        if (rand(0, 1) >= this.profile.dodge * skill.dodge) continue;
+        this.vy = -this.jumpStrength;
+        this.onGround = false;
+        this.hopMs = 500;
+        Object.assign(mind, { state: 'evade', stateMs: 400 });
+        return;
+      }
+    }
+    // Terrain: jump up to the platform the target stands on, and over walls and pits in the way
+    // (moving: heading somewhere rather than holding ground; dir: which way)
+    hop(dt, climbing, rise, dist, moving, dir = this.facing) {
+      if (this.hopMs > 0) this.hopMs -= dt * 16;
+      if (!this.onGround || this.hopMs > 0 || this.leap || this.dash || this.windup) return;
+      const ahead = dir === 1 ? this.x + this.w + 30 : this.x - 30;
+      let height = 0; let push = 3;
+      if (climbing && dist < 320) { height = rise + 24; push = Math.min(3, dist / 12); }
+      else if (this.wall && moving) height = this.y + this.h - this.wall.y + 16;
+      else if (pitAt(ahead) && moving) { height = 60; push = 5; }
+      if (!height) return;
+      const gravity = GRAVITY * (state.modifiers.lowGravity ? LOW_GRAVITY : 1);
+      this.vy = -Math.min(Math.sqrt(2 * gravity * height), this.jumpStrength * 1.5);
+      this.vx = dir * Math.max(Math.abs(this.vx), push);
+      this.onGround = false;
+      this.hopMs = 700;
+    }
+    // Versus: player two fires attacks through the input layer (each attack names its action, e.g. kiss = swipe)
+    handleInput(dt, input, players) {
+      if (input.moveX !== 0) {
+        this.vx += this.speed * 0.9 * dt * input.moveX;
+        this.facing = input.moveX > 0 ? 1 : -1;
+      }
+      if (held(input, 'jump') && this.onGround) {
+        this.vy = -this.jumpStrength;
+        this.onGround = false;
+      }
+      this.tickCooldowns(dt);
+      for (const atk of this.attacks) {
+        if (atk === this.windup) this.updateWindup(dt, players);
+        else if (this.canStart(atk) && held(input, atk.spec.action)) this.startAttack(atk, players);
+      }
+    }
+    // How much faster attacks come and how long they're telegraphed, by profile and difficulty (not for player
+    // two's plush, or the classic AI)
+    tuning() {
+      if (this.controlled || state.classicAi) return { aggression: 1, windup: 1 };
+      const skill = DIFFICULTIES[state.difficulty];
+      return { aggression: this.profile.aggression * skill.aggression, windup: skill.windup };
+    }
+    tickCooldowns(dt) {
+      for (const atk of this.attacks) atk.cooldownMs -= dt * 16;
+    }
+    // Moves that play out over time (leap, dash, barrage) block starting anything else
+    canStart(atk) {
+      return atk.cooldownMs <= 0 && !this.leap && !this.dash && !this.barrage && !(atk.spec.windupMs && this.windup);
+    }
+    startAttack(atk, players) {
+      if (!atk.spec.windupMs) { this.performAttack(atk, players); return; }
+      this.windup = atk;
+      this.attackWindupMs = atk.spec.windupMs * this.tuning().windup;
+      AudioEngine.playTone(300, 0.08, 'sawtooth', 0.3);
+    }
+    updateWindup(dt, players) {
+      this.attackWindupMs -= dt * 16;
+      if (this.attackWindupMs > 0) return;
+      const atk = this.windup;
+      this.windup = null;
+      this.performAttack(atk, players);
+    }
+    performAttack(atk, players) {
+      const spec = atk.spec;
+      if (spec.type === 'swipe') this.swipe(spec, players);
+      else if (spec.type === 'shoot') this.shoot(spec);
+      else if (spec.type === 'leap') this.startLeap(spec);
+      else if (spec.type === 'slam') this.slam(spec);
+      else if (spec.type === 'dash') this.dash = { spec, ms: spec.durationMs, hit: new Set(), attack: { box: 'body', damage: spec.damage, knockback: spec.knockback ?? 6, lift: spec.lift ?? 7, hitstunMs: spec.hitstunMs } };
+      else if (spec.type === 'barrage') this.barrage = { spec, left: spec.count, nextMs: 0 };
+      else if (spec.type === 'summon') this.summon(spec);
+      const [lo, hi] = spec.cooldownMs;
+      atk.cooldownMs = (lo === hi ? lo : randInt(lo, hi)) / this.tuning().aggression;
+      if (!this.controlled && !state.classicAi && this.profile.backoffMs) Object.assign(this.mind, { state: 'retreat', stateMs: this.profile.backoffMs });
+    }
+    // Swipe at anyone in front of us
+    swipe(spec, players) {
+      const attack = { box: { x: -14, y: 20, w: spec.reach ?? 36, h: 32 }, activeMs: spec.activeMs, damage: spec.damage,
+        knockback: spec.knockback ?? 3, lift: spec.lift ?? 6, hitstunMs: spec.hitstunMs };
+      this.strikeWith(attack, players, (p, killed) => {
+        const box = placeBox(this, attack.box);
+        triggerShake(220, 6);
+        spawnBurst(box.x + box.w / 2, box.y + box.h / 2, '#ffffff', 18, 4);
+        if (killed) onPlayerDown(p);
+        AudioEngine.playTone(196, 0.12, 'square', 0.5);
+      });
+    }
+    fire(spec, extraLift = 0) {
+      const [w, h] = PROJECTILE_TYPES[spec.projectile].size;
+      const px = this.facing === 1 ? this.x + this.w - 16 : this.x - 16;
+      const py = this.y + 24;
+      const shot = new Projectile(px, py, w, h, spec.projectile, this.facing, spec.damage, this);
+      shot.vx = this.facing * rand(...spec.speed);
+      shot.vy = -rand(...(spec.lift ?? [0, 0])) - extraLift;
+      projectiles.push(shot);
+    }
+    // Fire `count` projectiles fanned out by `spread` (extra lift per shot)
+    shoot(spec) {
+      const count = spec.count ?? 1;
+      for (let i = 0; i < count; i++) this.fire(spec, (i - (count - 1) / 2) * (spec.spread ?? 0));
+      AudioEngine.playTone(330, 0.1, 'triangle', 0.35);
+    }
+    // Barrage: `count` shots, one every `intervalMs`
+    updateBarrage(dt) {
+      const b = this.barrage;
+      b.nextMs -= dt * 16;
+      if (b.nextMs > 0) return;
+      this.fire(b.spec);
+      AudioEngine.playTone(330 + b.left * 20, 0.06, 'triangle', 0.3);
+      b.nextMs = b.spec.intervalMs;
+      if (--b.left <= 0) this.barrage = null;
+    }
+    // Ground slam: shockwaves roll out both ways along the floor; jump over them
+    slam(spec) {
+      const [w, h] = PROJECTILE_TYPES.shockwave.size;
+      const floor = floorBelow(this);
+      for (const dir of [-1, 1]) {
+        const wave = new Projectile(this.x + this.w / 2 - w / 2 + dir * this.w / 2, floor - h, w, h, 'shockwave', dir, spec.damage, this);
+        wave.vx = dir * spec.speed;
+        wave.spin = 0;
+        wave.lifeMs = spec.lifeMs ?? 1600;
+        projectiles.push(wave);
+      }
+      triggerShake(320, 9);
+      spawnBurst(this.x + this.w / 2, floor, '#ffffff', 24, 5);
+      AudioEngine.chord([98, 130.81], 0.25, 'square', 0.7);
+    }
+    // Dash: charge across the floor, hitting each Fer in the way once
+    updateDash(dt, players) {
+      const d = this.dash;
+      this.vx = this.facing * d.spec.speed;
+      strike(placeBox(this, d.attack.box), d.attack, this, players, d.hit, (p, killed) => {
+        triggerShake(240, 7);
+        if (killed) onPlayerDown(p);
+      });
+      if (Math.floor(d.ms / 48) !== Math.floor((d.ms - dt * 16) / 48)) spawnBurst(this.x + this.w / 2, this.y + this.h - 6, '#ffffff', 3, 2);
+      d.ms -= dt * 16;
+      if (d.ms <= 0 || this.wall || this.x <= 0 || this.x >= state.stageW - this.w) this.dash = null;
+    }
+    // Summon: mini plushes pop out beside us, up to `max` of ours on the field
+    summon(spec) {
+      const mine = state.enemies.filter(e => e.summoner === this).length;
+      const count = Math.min(spec.count, (spec.max ?? spec.count) - mine);
+      for (let i = 0; i < count; i++) {
+        const side = i % 2 ? -1 : 1;
+        const x = clamp(side === 1 ? this.x + this.w + 8 : this.x - spec.minion.body.w - 8, 0, state.stageW - spec.minion.body.w);
+        const minion = makeEnemy(spec.minion, x);
+        minion.summoner = this;
+        minion.vy = -6;
+        state.enemies.push(minion);
+        spawnBurst(minion.x + minion.w / 2, minion.y + minion.h / 2, '#ffffff', 14, 3);
+      }
+      if (count > 0) AudioEngine.chord([440, 554.37, 659.25], 0.2, 'triangle', 0.6);
+    }
+    startLeap(spec) {
+      this.vy = -spec.jump;
+      this.vx = this.facing * spec.speed;
+      this.onGround = false;
+      this.leap = spec;
+      AudioEngine.playTone(220, 0.15, 'triangle', 0.4);
+    }
+    // Leap landing: a shockwave along the ground hurts anyone not in the air
+    land(players) {
+      const spec = this.leap;
+      this.leap = null;
+      triggerShake(260, 7);
+      spawnBurst(this.x + this.w / 2, this.y + this.h, '#ffffff', 20, 4);
+      AudioEngine.playTone(110, 0.18, 'square', 0.5);
+      const attack = { box: { feet: 24, h: 24 }, damage: spec.damage, knockback: spec.knockback ?? 4, away: true, lift: spec.lift ?? 6, hitstunMs: spec.hitstunMs };
+      this.strikeWith(attack, players, (p, killed) => { if (killed) onPlayerDown(p); });
+    }
+    spriteIds() { return this.sprite ? [this.sprite] : []; }
+    // Won the round in versus, or every Fer is down
+    cheering() { return state.match ? state.interludeMs > 0 && state.match.rounds.at(-1)?.winner === 1 : state.players.every(p => p.down); }
+    busyState() { return this.windup ? 'windup' : this.leap || this.dash || this.barrage ? 'attack' : null; }
+    update(dt, players, input = NO_INPUT) {
+      this.updateStrikes(dt, players);
+      if (this.stunMs > 0) this.vx *= 0.9;
+      else if (this.controlled) this.handleInput(dt, input, players);
+      else this.ai(dt, players);
+      if (this.dash) this.updateDash(dt, players);
+      if (this.barrage) this.updateBarrage(dt);
       super.updatePhysics(dt);
+      if (this.leap && this.onGround) this.land(players);
+    }
+    // Telegraph the attack being wound up: a flashing "!" plus where slams and dashes will land
+    drawTelegraph() {
+      if (!this.windup || this.anim.name === 'ko' || Math.floor(now() / 90) % 2) return;
+      const spec = this.windup.spec;
+      const cx = this.x + this.w / 2;
+      ctx.fillStyle = '#ff6b6b';
+      ctx.font = '16px "Press Start 2P", monospace';
+      ctx.textAlign = 'center';
+      ctx.fillText('!', cx, this.y - 26);
+      ctx.textAlign = 'left';
+      ctx.fillStyle = 'rgba(255,107,107,0.35)';
+      if (spec.type === 'slam') ctx.fillRect(0, floorBelow(this) - 4, state.stageW, 8);
+      else if (spec.type === 'dash') ctx.fillRect(this.facing === 1 ? this.x + this.w : 0, this.y + this.h - 20, this.facing === 1 ? state.stageW - this.x - this.w : this.x, 14);
     }
     draw() {
       // Shadow
@@ -554,138 +2532,1145 @@
 
       const flicker = this.invMs > 0 && Math.floor(now() / 60) % 2 === 0;
       if (flicker) return;
-
-      // Big plush body with slight breathing (scale)
-      const scale = 1 + Math.sin(this.animT * (0.6 + this.variant.bobSpeed * 0.2)) * 0.02;
+      if (!drawSprite(this)) this.drawBody();
+      this.drawTelegraph();
+    }
+    // Big plush body, posed for its animation state: breathing, waddling, stretched in a jump, leaning back to wind
+    // up and into the attack, squashed by a hit, toppling over (and fading, once it's off the field), bouncing to cheer
+    drawBody() {
+      const { name, ms } = this.anim;
+      const cx = this.x + this.w / 2; const feet = this.y + this.h;
+      const breathe = 1 + Math.sin(this.animT * (0.6 + this.variant.bobSpeed * 0.2)) * 0.02;
+      let sx = breathe; let sy = breathe; let tilt = 0; let hop = 0;
+      if (name === 'walk') tilt = Math.sin(this.animT * 0.3) * 0.05;
+      else if (name === 'jump') { sx = 0.94; sy = 1.06; }
+      else if (name === 'windup') { tilt = -this.facing * 0.08; sx = 1.04; sy = 0.96; }
+      else if (name === 'attack') tilt = this.facing * 0.1;
+      else if (name === 'hurt') { tilt = -this.facing * 0.12; sx = 1.06; sy = 0.94; }
+      else if (name === 'ko') tilt = -this.facing * Math.min(1, ms / 300) * Math.PI / 2;
+      else if (name === 'victory') hop = Math.abs(Math.sin(ms / 150)) * 10;
       ctx.save();
-      ctx.translate(this.x + this.w / 2, this.y + this.h / 2);
-      ctx.scale(scale, scale);
-      ctx.translate(-this.x - this.w / 2, -this.y - this.h / 2);
+      if (name === 'ko' && !state.enemies.includes(this)) ctx.globalAlpha = clamp(1 - ms / KO_ANIM_MS, 0, 1);
+      ctx.translate(cx, feet - hop);
+      ctx.rotate(tilt);
+      ctx.scale(sx, sy);
+      ctx.translate(-cx, -feet);
       roundedRect(this.x, this.y, this.w, this.h - 12, 18, this.colorPrimary, true);
       // Belly
       roundedRect(this.x + 12, this.y + 22, this.w - 24, this.h - 46, 16, this.colorSecondary, true);
       // Ears
       roundedRect(this.x + 8, this.y - 18, 18, 26, 8, this.colorPrimary, true);
       roundedRect(this.x + this.w - 26, this.y - 18, 18, 26, 8, this.colorPrimary, true);
-      // Eyes
+      // Eyes (squeezed shut when hurt or down)
       ctx.fillStyle = '#111';
-      ctx.fillRect(this.x + (this.facing === 1 ? this.w - 48 : 18), this.y + 18, 6, 8);
-      ctx.fillRect(this.x + (this.facing === 1 ? this.w - 30 : 36), this.y + 18, 6, 8);
-      // Arms
+      const shut = name === 'hurt' || name === 'ko';
+      ctx.fillRect(this.x + (this.facing === 1 ? this.w - 48 : 18), this.y + (shut ? 21 : 18), 6, shut ? 3 : 8);
+      ctx.fillRect(this.x + (this.facing === 1 ? this.w - 30 : 36), this.y + (shut ? 21 : 18), 6, shut ? 3 : 8);
+      // Arms: raised to wind up (both to cheer), thrown out to attack
       const armX = this.facing === 1 ? this.x + this.w - 12 : this.x - 12;
       ctx.fillStyle = this.colorPrimary;
-      ctx.fillRect(armX, this.y + 28 + Math.sin(this.animT * 1.1) * 2, 12, 26);
+      if (name === 'windup' || name === 'victory') ctx.fillRect(armX, this.y + 4, 12, 26);
+      else if (name === 'attack') ctx.fillRect(this.facing === 1 ? this.x + this.w - 12 : this.x - 26, this.y + 30, 38, 12);
+      else ctx.fillRect(armX, this.y + 28 + Math.sin(this.animT * 1.1) * 2, 12, 26);
+      if (name === 'victory') ctx.fillRect(this.facing === 1 ? this.x - 12 : this.x + this.w, this.y + 4, 12, 26);
       ctx.restore();
     }
   }
 
-  // Waves (giant stuffed animals)
-  const WAVES = [
-    { name: 'Plush Bear', health: 90, speed: 0.45, primary: '#8ecae6', secondary: '#edf6f9' },
-    { name: 'Mega Bunny', health: 110, speed: 0.50, primary: '#ffc8dd', secondary: '#fff0f6' },
-    { name: 'Giga Dino', health: 140, speed: 0.55, primary: '#b9fbc0', secondary: '#e9ffe9' },
-    { name: 'Titan Unicorn', health: 160, speed: 0.62, primary: '#cdb4db', secondary: '#f3e8ff' }
+  // Bosses: a Plush that swaps in a new attack set each time its health drops past a phase threshold,
+  // with a short invulnerable roar in between
+  class Boss extends Plush {
+    constructor(def, controlled = false, x) {
+      super(def, controlled, x);
+      this.phases = def.phases; // [{ at, attacks, speed?, name? }], thresholds as a health fraction, highest first
+      this.phase = 0; // phases entered so far
+      this.roarMs = 0;
+    }
+    takeDamage(amount) {
+      const killed = super.takeDamage(amount);
+      if (killed) return true;
+      while (this.phase < this.phases.length && this.health / this.maxHealth <= this.phases[this.phase].at) this.enterPhase(this.phases[this.phase]);
+      return false;
+    }
+    enterPhase(phase) {
+      this.phase++;
+      this.attacks = phase.attacks.map(spec => ({ spec, cooldownMs: spec.initialMs ?? 600 }));
+      this.windup = null;
+      if (phase.speed !== undefined) this.speed = phase.speed;
+      this.roarMs = 900;
+      this.invMs = 900;
+      triggerShake(400, 8);
+      spawnBurst(this.x + this.w / 2, this.y + this.h / 3, this.colorSecondary, 30, 5);
+      showToast(phase.name || `${this.name} gets serious!`, 1600);
+      AudioEngine.chord([146.83, 174.61, 220], 0.4, 'sawtooth', 0.9);
+    }
+    ai(dt, players) {
+      if (this.roarMs > 0) {
+        this.roarMs -= dt * 16;
+        this.vx *= 0.85;
+        return;
+      }
+      super.ai(dt, players);
+    }
+    draw() {
+      super.draw();
+      if ((this.invMs > 0 && Math.floor(now() / 60) % 2 === 0) || this.anim.name === 'ko' || spriteFor(this)) return;
+      // Crown
+      const cx = this.x + this.w / 2; const top = this.y - 30;
+      ctx.fillStyle = '#ffd166';
+      ctx.beginPath();
+      ctx.moveTo(cx - 24, top + 18);
+      ctx.lineTo(cx - 24, top);
+      ctx.lineTo(cx - 12, top + 10);
+      ctx.lineTo(cx, top - 4);
+      ctx.lineTo(cx + 12, top + 10);
+      ctx.lineTo(cx + 24, top);
+      ctx.lineTo(cx + 24, top + 18);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+  const makeEnemy = (def, x) => (def.phases ? new Boss(def, false, x) : new Plush(def, false, x));
+
+  // Waves (giant stuffed animals). enemies.json (same shape) replaces this built-in roster when it loads and validates;
+  // the built-in one keeps the game playable straight from disk, where fetch isn't available.
+  const CLASSIC_ATTACKS = [
+    { type: 'swipe', maxRange: 140, windupMs: 220, initialMs: 1000, cooldownMs: [600, 1200], damage: 14, knockback: 3, lift: 6 },
+    { type: 'shoot', minRange: 120, initialMs: 1500, cooldownMs: [1200, 2000], projectile: 'cotton', damage: 10, speed: [2.4, 3.4], lift: [3.2, 4.2] }
+  ];
+  const classicPlush = (name, health, speed, primary, secondary) =>
+    ({ name, health, speed, colors: { primary, secondary }, body: { w: 92, h: 118 }, attacks: CLASSIC_ATTACKS });
+  // The built-in roster as it was before boss fights, frozen: replays from before enemies.json carry no roster and
+  // play back against it
+  const CLASSIC_ROSTER = {
+    scaling: { health: { type: 'linear', step: 0.25 }, speed: { type: 'linear', step: 0.05 } },
+    enemies: {
+      bear: classicPlush('Plush Bear', 90, 0.45, '#8ecae6', '#edf6f9'),
+      bunny: classicPlush('Mega Bunny', 110, 0.50, '#ffc8dd', '#fff0f6'),
+      dino: classicPlush('Giga Dino', 140, 0.55, '#b9fbc0', '#e9ffe9'),
+      unicorn: classicPlush('Titan Unicorn', 160, 0.62, '#cdb4db', '#f3e8ff')
+    },
+    waves: [{ enemies: ['bear'] }, { enemies: ['bunny'] }, { enemies: ['dino'] }, { enemies: ['unicorn'] }]
+  };
+  const DEFAULT_ROSTER = {
+    scaling: { health: { type: 'linear', step: 0.25 }, speed: { type: 'linear', step: 0.05 } },
+    enemies: {
+      bear: { ...classicPlush('Plush Bear', 90, 0.45, '#8ecae6', '#edf6f9'), ai: 'defensive' },
+      bunny: { ...classicPlush('Mega Bunny', 110, 0.50, '#ffc8dd', '#fff0f6'), ai: 'aggressive' },
+      dino: { ...classicPlush('Giga Dino', 140, 0.55, '#b9fbc0', '#e9ffe9'), ai: 'zoning' },
+      unicorn: {
+        // Boss: classic moves first, then charges and slams, then barrages and calls in minis
+        ...classicPlush('Titan Unicorn', 260, 0.62, '#cdb4db', '#f3e8ff'),
+        body: { w: 128, h: 156 },
+        phases: [
+          { at: 0.66, name: 'Titan Unicorn charges!', speed: 0.7, attacks: [
+            CLASSIC_ATTACKS[0],
+            { type: 'dash', minRange: 140, windupMs: 600, initialMs: 800, cooldownMs: [2600, 3400], durationMs: 700, speed: 9, damage: 16 },
+            { type: 'slam', maxRange: 260, windupMs: 700, initialMs: 2000, cooldownMs: [3000, 4000], speed: 5, damage: 12 }
+          ] },
+          { at: 0.33, name: 'Titan Unicorn calls for backup!', speed: 0.75, attacks: [
+            { type: 'summon', windupMs: 500, initialMs: 400, cooldownMs: [7000, 9000], enemy: 'mini', count: 2, max: 3 },
+            { type: 'barrage', minRange: 120, windupMs: 400, initialMs: 1500, cooldownMs: [3000, 3800], projectile: 'cotton', count: 6, intervalMs: 140, damage: 8, speed: [2.8, 4.2], lift: [2.5, 5] },
+            { type: 'slam', maxRange: 300, windupMs: 550, initialMs: 3000, cooldownMs: [2600, 3400], speed: 6, damage: 14 },
+            CLASSIC_ATTACKS[0]
+          ] }
+        ]
+      },
+      mini: {
+        name: 'Mini Plush', health: 24, speed: 0.8, colors: { primary: '#f3e8ff', secondary: '#ffffff' }, body: { w: 52, h: 66 }, ai: 'aggressive',
+        attacks: [{ type: 'swipe', maxRange: 90, windupMs: 180, initialMs: 600, cooldownMs: [700, 1100], damage: 6, reach: 24, knockback: 2, lift: 4 }]
+      }
+    },
+    waves: [{ arena: 'park', enemies: ['bear'] }, { enemies: ['bunny'] }, { arena: 'beach', enemies: ['dino'] }, { name: 'Boss: Titan Unicorn!', arena: 'toystore', enemies: ['unicorn'] }]
+  };
+  let roster = DEFAULT_ROSTER;
+  const ATTACK_TYPES = ['swipe', 'shoot', 'leap', 'slam', 'dash', 'barrage', 'summon'];
+  const SCALED_STATS = ['health', 'speed', 'damage'];
+  const DEFAULT_STAGGER_MS = 2000;
+  // Survival: the roster's "survival" section, or this. Its difficulty curves are read at minutes survived:
+  // spawnRate divides the time between spawns, maxEnemies multiplies the field cap, the rest scale each plush.
+  const SURVIVAL_CURVES = ['spawnRate', 'maxEnemies', ...SCALED_STATS];
+  const DEFAULT_SURVIVAL = {
+    spawnMs: 7000,
+    maxEnemies: 2,
+    difficulty: {
+      spawnRate: { type: 'linear', step: 0.3 },
+      maxEnemies: { type: 'linear', step: 0.5 },
+      health: { type: 'linear', step: 0.15 },
+      speed: { type: 'linear', step: 0.04 },
+      damage: { type: 'linear', step: 0.1 }
+    },
+    pickups: { everyMs: 15000, lifeMs: 10000, weights: { health: 2, bomb: 1 } }
+  };
+  const SURVIVAL_REFILL_MS = 1500; // most an empty field waits for the next plush
+  // Without a pool of its own, survival draws from every plush that isn't a boss
+  function survivalConfig(data) {
+    const sv = data.survival || {};
+    return {
+      ...DEFAULT_SURVIVAL,
+      ...sv,
+      difficulty: sv.difficulty || DEFAULT_SURVIVAL.difficulty,
+      pickups: { ...DEFAULT_SURVIVAL.pickups, ...sv.pickups },
+      pool: sv.pool || Object.keys(data.enemies).filter(id => !data.enemies[id].phases)
+    };
+  }
+
+  // Scaling curves give a multiplier at x (completed passes through the wave list):
+  // linear 1 + step·x, exponential rate^x, table values[x] (the last value holds)
+  function curveAt(curve, x) {
+    if (curve.type === 'linear') return 1 + curve.step * x;
+    if (curve.type === 'exponential') return Math.pow(curve.rate, x);
+    return curve.values[clamp(Math.floor(x), 0, curve.values.length - 1)];
+  }
+  function scaledEnemy(def, cycle, scaling, enemies) {
+    const curves = { ...scaling, ...def.scaling };
+    const mult = stat => (curves[stat] ? curveAt(curves[stat], cycle) : 1);
+    // Summons carry their (scaled) minion along so the fight doesn't need the roster
+    const scaleAttack = a => ({
+      ...a,
+      ...(a.damage !== undefined && { damage: Math.round(a.damage * mult('damage')) }),
+      ...(a.type === 'summon' && { minion: scaledEnemy(enemies[a.enemy], cycle, scaling, enemies) })
+    });
+    return {
+      ...def,
+      name: def.name + (cycle >= 1 ? ` +${Math.floor(cycle)}` : ''),
+      health: Math.round(def.health * mult('health')),
+      speed: def.speed * mult('speed'),
+      attacks: def.attacks.map(scaleAttack),
+      ...(def.phases && {
+        phases: def.phases.map(p => ({ ...p, ...(p.speed !== undefined && { speed: p.speed * mult('speed') }), attacks: p.attacks.map(scaleAttack) }))
+      })
+    };
+  }
+  // A wave's enemies with scaling applied, as { def, delayMs } in the order they come on.
+  // Entries are an id or { id, delayMs }; plain ids arrive staggerMs apart.
+  function waveEnemies(data, index) {
+    const wave = data.waves[index % data.waves.length];
+    const cycle = Math.floor(index / data.waves.length);
+    return wave.enemies.map((entry, i) => {
+      const id = typeof entry === 'string' ? entry : entry.id;
+      const delayMs = entry.delayMs ?? i * (wave.staggerMs ?? DEFAULT_STAGGER_MS);
+      return { def: scaledEnemy(data.enemies[id], cycle, data.scaling, data.enemies), delayMs };
+    }).sort((a, b) => a.delayMs - b.delayMs);
+  }
+
+  // Schema check for enemies.json: returns readable "path: problem" strings, empty when the roster is usable
+  function validateRoster(data) {
+    const errors = [];
+    const fail = (path, msg) => { errors.push(`${path}: ${msg}`); };
+    const isObj = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const num = (v, path, min = -Infinity) => {
+      if (typeof v !== 'number' || !Number.isFinite(v) || v < min) fail(path, min > -Infinity ? `expected a number >= ${min}` : 'expected a number');
+    };
+    const opt = (v, path, min) => { if (v !== undefined) num(v, path, min); };
+    const range = (v, path) => {
+      if (!Array.isArray(v) || v.length !== 2 || !v.every(n => typeof n === 'number' && Number.isFinite(n) && n >= 0) || v[0] > v[1]) fail(path, 'expected [min, max] with 0 <= min <= max');
+    };
+    const count = (v, path, max) => { if (!Number.isInteger(v) || v < 1 || v > max) fail(path, `expected a whole number from 1 to ${max}`); };
+    const color = (v, path) => { if (typeof v !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(v)) fail(path, 'expected a hex color like "#8ecae6"'); };
+    const curve = (c, path) => {
+      if (!isObj(c)) return fail(path, 'expected a curve like { "type": "linear", "step": 0.25 }');
+      if (c.type === 'linear') num(c.step, `${path}.step`);
+      else if (c.type === 'exponential') num(c.rate, `${path}.rate`, 0);
+      else if (c.type === 'table') {
+        if (!Array.isArray(c.values) || !c.values.length || !c.values.every(n => typeof n === 'number' && n >= 0)) fail(`${path}.values`, 'expected a non-empty list of multipliers');
+      } else fail(`${path}.type`, `expected "linear", "exponential" or "table", got ${JSON.stringify(c.type)}`);
+    };
+    const scaling = (v, path) => {
+      if (v === undefined) return;
+      if (!isObj(v)) return fail(path, 'expected an object of curves');
+      for (const [stat, c] of Object.entries(v)) {
+        if (!SCALED_STATS.includes(stat)) fail(`${path}.${stat}`, `unknown stat (expected one of ${SCALED_STATS.join(', ')})`);
+        else curve(c, `${path}.${stat}`);
+      }
+    };
+    const attack = (a, path) => {
+      if (!isObj(a)) return fail(path, 'expected an attack object');
+      if (!ATTACK_TYPES.includes(a.type)) return fail(`${path}.type`, `expected one of ${ATTACK_TYPES.join(', ')}, got ${JSON.stringify(a.type)}`);
+      range(a.cooldownMs, `${path}.cooldownMs`);
+      if (a.type !== 'summon') num(a.damage, `${path}.damage`, 0);
+      for (const key of ['initialMs', 'windupMs', 'minRange', 'maxRange', 'knockback', 'hitstunMs']) opt(a[key], `${path}.${key}`, 0);
+      if (a.minRange !== undefined && a.maxRange !== undefined && a.minRange > a.maxRange) fail(path, 'minRange is larger than maxRange');
+      if (a.type === 'swipe') {
+        opt(a.reach, `${path}.reach`, 1);
+        opt(a.lift, `${path}.lift`, 0);
+        opt(a.activeMs, `${path}.activeMs`, 0);
+      } else if (a.type === 'shoot') {
+        if (!ENEMY_PROJECTILES.includes(a.projectile)) fail(`${path}.projectile`, `expected one of ${ENEMY_PROJECTILES.join(', ')}, got ${JSON.stringify(a.projectile)}`);
+        range(a.speed, `${path}.speed`);
+        if (a.lift !== undefined) range(a.lift, `${path}.lift`);
+        if (a.count !== undefined) count(a.count, `${path}.count`, 8);
+        opt(a.spread, `${path}.spread`, 0);
+      } else if (a.type === 'leap') {
+        num(a.jump, `${path}.jump`, 1);
+        num(a.speed, `${path}.speed`, 0);
+        opt(a.lift, `${path}.lift`, 0);
+      } else if (a.type === 'slam') {
+        num(a.speed, `${path}.speed`, 0.5);
+        opt(a.lifeMs, `${path}.lifeMs`, 100);
+      } else if (a.type === 'dash') {
+        num(a.speed, `${path}.speed`, 1);
+        num(a.durationMs, `${path}.durationMs`, 16);
+        opt(a.lift, `${path}.lift`, 0);
+      } else if (a.type === 'barrage') {
+        if (!ENEMY_PROJECTILES.includes(a.projectile)) fail(`${path}.projectile`, `expected one of ${ENEMY_PROJECTILES.join(', ')}, got ${JSON.stringify(a.projectile)}`);
+        count(a.count, `${path}.count`, 20);
+        num(a.intervalMs, `${path}.intervalMs`, 16);
+        range(a.speed, `${path}.speed`);
+        if (a.lift !== undefined) range(a.lift, `${path}.lift`);
+      } else {
+        const minion = isObj(data.enemies) && Object.hasOwn(data.enemies, a.enemy) ? data.enemies[a.enemy] : null;
+        if (!minion) fail(`${path}.enemy`, `unknown enemy ${JSON.stringify(a.enemy)}`);
+        else if (minion.phases || (Array.isArray(minion.attacks) && minion.attacks.some(m => m && m.type === 'summon'))) fail(`${path}.enemy`, 'summoned enemies cannot be bosses or summon others');
+        count(a.count, `${path}.count`, 4);
+        if (a.max !== undefined) count(a.max, `${path}.max`, 8);
+      }
+    };
+    const weights = (v, path) => {
+      if (!isObj(v)) return fail(path, 'expected pickup weights like { "health": 2, "egg": 1 }');
+      for (const [type, w] of Object.entries(v)) {
+        if (!Object.hasOwn(PICKUP_TYPES, type)) fail(`${path}.${type}`, `unknown pickup (expected one of ${Object.keys(PICKUP_TYPES).join(', ')})`);
+        else num(w, `${path}.${type}`, 0);
+      }
+    };
+    const chance = (v, path) => { if (v !== undefined && (typeof v !== 'number' || !(v >= 0 && v <= 1))) fail(path, 'expected a chance from 0 to 1'); };
+    const drops = (v, path) => {
+      if (v === undefined) return;
+      if (!isObj(v)) return fail(path, 'expected { "hit": ..., "defeat": ..., "items": { ... } }');
+      chance(v.hit, `${path}.hit`);
+      chance(v.defeat, `${path}.defeat`);
+      if (v.items !== undefined) weights(v.items, `${path}.items`);
+    };
+    const phases = (v, path) => {
+      if (v === undefined) return;
+      if (!Array.isArray(v) || !v.length) return fail(path, 'expected a list of phases');
+      v.forEach((ph, i) => {
+        const at = `${path}[${i}]`;
+        if (!isObj(ph)) return fail(at, 'expected { "at": ..., "attacks": [...] }');
+        if (typeof ph.at !== 'number' || !(ph.at > 0 && ph.at < 1)) fail(`${at}.at`, 'expected a health fraction between 0 and 1');
+        else if (i > 0 && isObj(v[i - 1]) && !(ph.at < v[i - 1].at)) fail(`${at}.at`, 'phase thresholds must go down');
+        if (ph.name !== undefined && typeof ph.name !== 'string') fail(`${at}.name`, 'expected text');
+        opt(ph.speed, `${at}.speed`, 0);
+        if (!Array.isArray(ph.attacks) || !ph.attacks.length) fail(`${at}.attacks`, 'expected at least one attack');
+        else ph.attacks.forEach((a, j) => attack(a, `${at}.attacks[${j}]`));
+      });
+    };
+    if (!isObj(data)) return ['expected a JSON object with "enemies" and "waves"'];
+    scaling(data.scaling, 'scaling');
+    if (!isObj(data.enemies) || !Object.keys(data.enemies).length) fail('enemies', 'expected an object of enemy definitions keyed by id');
+    else {
+      for (const [id, e] of Object.entries(data.enemies)) {
+        const path = `enemies.${id}`;
+        if (!isObj(e)) { fail(path, 'expected an enemy object'); continue; }
+        if (typeof e.name !== 'string' || !e.name.trim()) fail(`${path}.name`, 'expected a name');
+        num(e.health, `${path}.health`, 1);
+        num(e.speed, `${path}.speed`, 0);
+        opt(e.approachRange, `${path}.approachRange`, 0);
+        if (e.sprite !== undefined && (typeof e.sprite !== 'string' || !e.sprite)) fail(`${path}.sprite`, 'expected a sprite id (a key in sprites.json)');
+        if (e.ai !== undefined && !AI_PROFILES[e.ai]) fail(`${path}.ai`, `unknown AI profile (expected one of ${Object.keys(AI_PROFILES).join(', ')})`);
+        if (!isObj(e.colors)) fail(`${path}.colors`, 'expected { "primary": ..., "secondary": ... }');
+        else { color(e.colors.primary, `${path}.colors.primary`); color(e.colors.secondary, `${path}.colors.secondary`); }
+        if (!isObj(e.body)) fail(`${path}.body`, 'expected { "w": ..., "h": ... }');
+        else { num(e.body.w, `${path}.body.w`, 32); num(e.body.h, `${path}.body.h`, 48); }
+        if (!Array.isArray(e.attacks) || !e.attacks.length) fail(`${path}.attacks`, 'expected at least one attack');
+        else e.attacks.forEach((a, i) => attack(a, `${path}.attacks[${i}]`));
+        phases(e.phases, `${path}.phases`);
+        scaling(e.scaling, `${path}.scaling`);
+        drops(e.drops, `${path}.drops`);
+      }
+    }
+    if (!Array.isArray(data.waves) || !data.waves.length) fail('waves', 'expected at least one wave');
+    else {
+      data.waves.forEach((w, i) => {
+        const path = `waves[${i}]`;
+        if (!isObj(w)) return fail(path, 'expected { "enemies": [...] }');
+        if (w.name !== undefined && typeof w.name !== 'string') fail(`${path}.name`, 'expected text');
+        if (w.arena !== undefined && !ARENAS.has(w.arena)) fail(`${path}.arena`, `unknown arena (expected one of ${[...ARENAS.keys()].join(', ')})`);
+        opt(w.staggerMs, `${path}.staggerMs`, 0);
+        if (!Array.isArray(w.enemies) || !w.enemies.length) return fail(`${path}.enemies`, 'expected a list of enemy ids');
+        w.enemies.forEach((entry, j) => {
+          const id = isObj(entry) ? entry.id : entry;
+          if (isObj(entry)) opt(entry.delayMs, `${path}.enemies[${j}].delayMs`, 0);
+          if (!isObj(data.enemies) || !Object.hasOwn(data.enemies, id)) fail(`${path}.enemies[${j}]`, `unknown enemy ${JSON.stringify(id)}`);
+        });
+      });
+    }
+    if (data.survival !== undefined) {
+      const sv = data.survival;
+      if (!isObj(sv)) fail('survival', 'expected an object');
+      else {
+        opt(sv.spawnMs, 'survival.spawnMs', 100);
+        if (sv.maxEnemies !== undefined) count(sv.maxEnemies, 'survival.maxEnemies', 8);
+        if (sv.difficulty !== undefined) {
+          if (!isObj(sv.difficulty)) fail('survival.difficulty', 'expected an object of curves');
+          else {
+            for (const [name, c] of Object.entries(sv.difficulty)) {
+              if (!SURVIVAL_CURVES.includes(name)) fail(`survival.difficulty.${name}`, `unknown curve (expected one of ${SURVIVAL_CURVES.join(', ')})`);
+              else curve(c, `survival.difficulty.${name}`);
+            }
+          }
+        }
+        if (sv.pool !== undefined) {
+          if (!Array.isArray(sv.pool) || !sv.pool.length) fail('survival.pool', 'expected a list of enemy ids');
+          else {
+            sv.pool.forEach((entry, i) => {
+              const id = isObj(entry) ? entry.id : entry;
+              if (isObj(entry)) opt(entry.fromMs, `survival.pool[${i}].fromMs`, 0);
+              if (!isObj(data.enemies) || !Object.hasOwn(data.enemies, id)) fail(`survival.pool[${i}]`, `unknown enemy ${JSON.stringify(id)}`);
+            });
+            if (!sv.pool.some(e => !isObj(e) || !e.fromMs)) fail('survival.pool', 'at least one enemy must be there from the start');
+          }
+        }
+        if (sv.pickups !== undefined) {
+          if (!isObj(sv.pickups)) fail('survival.pickups', 'expected an object');
+          else {
+            opt(sv.pickups.everyMs, 'survival.pickups.everyMs', 1000);
+            opt(sv.pickups.lifeMs, 'survival.pickups.lifeMs', 1000);
+            if (sv.pickups.weights !== undefined) weights(sv.pickups.weights, 'survival.pickups.weights');
+          }
+        }
+      }
+    }
+    if (data.stages !== undefined) {
+      if (!isObj(data.stages)) fail('stages', 'expected an object of stage layouts keyed by arena id');
+      else {
+        for (const [id, items] of Object.entries(data.stages)) {
+          const path = `stages.${id}`;
+          const arena = ARENAS.get(id);
+          if (!arena) fail(path, `unknown arena (expected one of ${[...ARENAS.keys()].join(', ')})`);
+          if (!Array.isArray(items)) { fail(path, 'expected a list of platforms, walls, bouncy blocks and pits'); continue; }
+          items.forEach((it, i) => {
+            const at = `${path}[${i}]`;
+            if (!isObj(it)) return fail(at, 'expected { "type": ..., "x": ..., "w": ... }');
+            if (!STAGE_ITEMS.includes(it.type)) return fail(`${at}.type`, `expected one of ${STAGE_ITEMS.join(', ')}, got ${JSON.stringify(it.type)}`);
+            num(it.x, `${at}.x`, 0);
+            num(it.w, `${at}.w`, 8);
+            if (arena && it.x + it.w > arena.width) fail(at, `runs past the end of the stage (${arena.width} wide)`);
+            if (it.type === 'platform') {
+              num(it.height, `${at}.height`, 16);
+              if (it.height > GROUND_Y - 40) fail(`${at}.height`, `expected at most ${GROUND_Y - 40}`);
+            } else if (it.type !== 'pit') {
+              num(it.h, `${at}.h`, 8);
+              if (it.type === 'bouncy') {
+                opt(it.height, `${at}.height`, 0);
+                num(it.bounce, `${at}.bounce`, 1);
+              }
+              if (it.h + (it.height ?? 0) > GROUND_Y - 40) fail(at, `reaches higher than ${GROUND_Y - 40} above the ground`);
+            }
+          });
+        }
+      }
+    }
+    return errors;
+  }
+  async function loadRoster() {
+    let data;
+    try {
+      const res = await fetch('enemies.json', { cache: 'no-store' });
+      if (!res.ok) return;
+      data = await res.json();
+    } catch (err) {
+      // Opened from disk (no fetch) is fine; a file that's there but isn't JSON is worth flagging
+      if (err instanceof SyntaxError) showToast('enemies.json is not valid JSON — using the built-in roster', 4000);
+      return;
+    }
+    const errors = validateRoster(data);
+    if (errors.length) {
+      console.warn('enemies.json:\n' + errors.join('\n'));
+      showToast(`enemies.json: ${errors[0]}${errors.length > 1 ? ` (+${errors.length - 1} more, see console)` : ''} — using the built-in roster`, 5000);
+      return;
+    }
+    roster = data;
+    renderDailyInfo();
+  }
+
+  // Versus: player two's plush (each attack names the action that fires it), and match rules (best of three, timed rounds)
+  const VERSUS_PLUSH = {
+    name: 'P2 Plush', health: 150, speed: 0.6, colors: { primary: '#ffc8dd', secondary: '#fff0f6' }, body: { w: 92, h: 118 },
+    attacks: [
+      { ...CLASSIC_ATTACKS[0], action: 'kiss', cooldownMs: [500, 500] },
+      { ...CLASSIC_ATTACKS[1], action: 'flower', cooldownMs: [900, 900] }
+    ]
+  };
+  const ROUNDS_TO_WIN = 2;
+  const ROUND_MS = 60000;
+  const ROUND_BREAK_MS = 1800;
+
+  // Daily Fluff: one run a day that's the same for everyone. The (UTC) date gives the seed, and the seed shuffles
+  // the roster's waves and picks the day's modifiers. Shop upgrades stay home and every perk is on (unless the
+  // day says no perks). The first attempt of the day is the scored one; the rest are practice. The day's run is built
+  // from enemies.json: on the built-in roster (opened from disk, or a broken file) it's a different run, so every
+  // attempt is practice.
+  const DAILY_MODIFIERS = [
+    { id: 'lowGravity', icon: '🪶', name: 'Low Gravity', desc: 'Everyone jumps and falls at half gravity' },
+    { id: 'flowersOnly', icon: '🌼', name: 'Flowers Only', desc: 'No kisses, hugs or bombs' },
+    { id: 'doubleSpeed', icon: '💨', name: 'Double Speed', desc: 'Plushes move twice as fast' },
+    { id: 'noPerks', icon: '🚫', name: 'No Perks', desc: 'Perks stay home' }
   ];
+  const LOW_GRAVITY = 0.5;
+  const dailyDate = (ms = Date.now()) => new Date(ms).toISOString().slice(0, 10);
+  // Must match dailySeed in server/run-checks.js
+  const dailySeed = date => parseInt(hashString(`daily-${date}`).slice(-8), 16) >>> 0;
+  function dailyChallenge(date = dailyDate()) {
+    const seed = dailySeed(date);
+    const rng = makeRng(seed ^ 0x5eed);
+    const shuffled = list => {
+      const out = list.slice();
+      for (let i = out.length - 1; i > 0; i--) {
+        const j = randInt(0, i, rng);
+        [out[i], out[j]] = [out[j], out[i]];
+      }
+      return out;
+    };
+    const modifiers = {};
+    for (const m of shuffled(DAILY_MODIFIERS).slice(0, randInt(1, 2, rng))) modifiers[m.id] = true;
+    // Double speed is baked into the roster, so replays of the day carry it along
+    const faster = def => ({
+      ...def,
+      speed: def.speed * 2,
+      ...(def.phases && { phases: def.phases.map(p => (p.speed === undefined ? p : { ...p, speed: p.speed * 2 })) })
+    });
+    const enemies = modifiers.doubleSpeed ? Object.fromEntries(Object.entries(roster.enemies).map(([id, def]) => [id, faster(def)])) : roster.enemies;
+    return {
+      date,
+      seed,
+      modifiers,
+      roster: { ...roster, enemies, waves: shuffled(roster.waves) },
+      unlocks: modifiers.noPerks ? {} : Object.fromEntries([...PERKS.keys()].map(id => [id, true]))
+    };
+  }
+  const dailyScorable = () => roster !== DEFAULT_ROSTER;
+  const dailyModifierList = modifiers => DAILY_MODIFIERS.filter(m => modifiers[m.id]);
+  // The day's scored attempt is used up as soon as it starts
+  function claimDailyAttempt(date) {
+    const d = Save.daily();
+    if (d && d.date === date) return false;
+    Save.setDaily({ date, score: null });
+    return true;
+  }
 
   // Game state
   const state = {
     running: false,
     paused: false,
     lastTs: 0,
-    player: null,
-    enemy: null,
+    accumulatorMs: 0,
+    tick: 0,
+    seed: 0,
+    rng: makeRng(0),
+    mode: 'solo', // 'solo' | 'coop' | 'versus' | 'daily' | 'survival'
+    players: [],
+    enemies: [],
+    roster: DEFAULT_ROSTER, // enemy roster for this run (replays carry their own)
+    pendingEnemies: [], // { def, delayMs } of the current wave still to come on
     waveIndex: 0,
-    unlocks: { horse: false, jetpack: false },
+    unlocks: { ...profile.unlocks }, // perk id -> true once unlocked (replays carry their own)
+    upgrades: {}, // shop upgrade levels in effect for this run (replays carry their own)
+    modifiers: {}, // Daily Fluff modifier id -> true (replays carry their own)
+    daily: null, // live Daily Fluff run: { date, scored }
+    survival: null, // survival only: { cfg, spawnMs, pickupMs }
+    arenaPick: 'auto', // the player's arena choice for this run: 'auto' (by wave), an arena id, or 'classic' (old replays)
+    classicMoves: false, // old replays: flowers fire on hold, no input buffering
+    classicHurtboxes: false, // old replays: fighters are hit anywhere in their rect
+    classicAi: false, // old replays: plushes approach and swipe (see Plush AI)
+    classicLedges: false, // old replays: a plush up on a ledge over its target stays there
+    classicDrops: false, // old replays: plushes drop nothing and pickups land without bouncing
+    classicPerks: false, // old replays: one shared perk toggle (see applyClassicPerks)
+    difficulty: 'normal', // a DIFFICULTIES key (replays carry their own)
+    debug: new URLSearchParams(location.search).has('debug'), // hitbox overlay, toggled with the backquote key
+    arena: null, // current arena (see registerArena)
+    stageW: WIDTH, // its width: fighters and pickups stay within [0, stageW]
+    stage: buildStage([], WIDTH), // its geometry from the roster's "stages" (see buildStage)
     interludeMs: 0,
+    inputs: [], // per-player actions for the current tick (live or replayed)
+    prevInputs: [],
+    recording: null, // replay being captured for the current run
+    replay: null, // { data, cursors, tick, speed, restore } while watching a replay
+    match: null, // versus only: { round, wins, roundMs, rounds: [{ winner, reason }], decided }
+    run: null, // all but versus: { mode, startWave, wavesCleared, combo, waves: [{ wave, ticks, enemyHealth, damageDealt, damageTaken, kills, ...scoring }] } for score and run summary
   };
+  let lastReplay = null;
+  let lastRunId = null; // identifies the last finished run's global score submission
+  let lastRunSummary = null;
+  const NO_INPUT = { mask: 0, moveX: 0 };
+  // Humans at the controls (input slots) vs. Fers on the field: in versus, slot two drives the plush
+  const playerCountFor = mode => (mode === 'coop' || mode === 'versus' ? 2 : 1);
+  const ferCountFor = mode => (mode === 'coop' ? 2 : 1);
 
-  function startGame(resetWave = false) {
+  function startGame(resetWave = false, seed = seedFromUrl() ?? randomSeed(), replay = null) {
+    const daily = !replay && state.mode === 'daily' ? dailyChallenge() : null;
+    if (daily) seed = daily.seed;
     overlay.classList.remove('show');
     projectiles.length = 0;
     particles.length = 0;
-    state.player = new Player();
-    if (resetWave) state.waveIndex = 0;
-    spawnWave(state.waveIndex);
+    pickups.length = 0;
+    scorePopups.length = 0;
+    ducks.length = 0;
+    fallen.length = 0;
+    keysTapped.clear();
+    state.seed = seed >>> 0;
+    state.rng = makeRng(state.seed);
+    state.tick = 0;
+    state.interludeMs = 0;
+    state.replay = replay;
+    recordStat('runs');
+    state.roster = replay ? replay.data.roster || CLASSIC_ROSTER : daily ? daily.roster : roster;
+    // Versus is an even fight and the daily run is the same for everyone: no shop upgrades
+    state.upgrades = replay ? { ...replay.data.upgrades } : daily || state.mode === 'versus' ? {} : { ...profile.upgrades };
+    state.modifiers = replay ? { ...replay.data.modifiers } : daily ? daily.modifiers : {};
+    state.daily = daily && { date: daily.date, scored: dailyScorable() && claimDailyAttempt(daily.date) };
+    state.classicMoves = !!replay && replay.data.moves === CLASSIC_MOVES;
+    state.classicHurtboxes = !!replay && replay.data.hurtboxes === CLASSIC_HURTBOXES;
+    state.classicAi = !!replay && replay.data.ai === CLASSIC_AI;
+    state.classicLedges = !!replay && replay.data.ledges === CLASSIC_LEDGES;
+    state.classicDrops = !!replay && replay.data.drops === CLASSIC_DROPS;
+    state.classicPerks = !!replay && replay.data.perks === CLASSIC_PERKS;
+    // Like the arena, difficulty is the player's pick except where everyone plays the same run
+    state.difficulty = replay ? replay.data.difficulty || 'normal' : daily || state.mode === 'versus' ? 'normal' : settingsDifficulty();
+    state.arenaPick = replay ? replay.data.arena : daily || !ARENAS.has(Save.settings().arena) ? 'auto' : Save.settings().arena;
+    if (replay) {
+      state.mode = replay.data.mode;
+      state.waveIndex = replay.data.wave;
+      state.unlocks = { ...replay.data.unlocks };
+    } else {
+      state.unlocks = daily ? { ...daily.unlocks } : { ...profile.unlocks };
+      if (resetWave || daily || state.mode === 'survival') state.waveIndex = 0;
+    }
+    const count = playerCountFor(state.mode);
+    state.inputs = Array(count).fill(NO_INPUT);
+    state.prevInputs = state.inputs;
+    state.recording = replay ? null : {
+      version: REPLAY_VERSION,
+      mode: state.mode,
+      seed: state.seed,
+      wave: state.waveIndex,
+      unlocks: { ...state.unlocks },
+      roster: state.roster,
+      upgrades: state.upgrades,
+      modifiers: state.modifiers,
+      arena: state.arenaPick,
+      difficulty: state.difficulty,
+      ticks: 0,
+      inputs: Array.from({ length: count }, () => [])
+    };
+    replayBar.style.display = replay ? 'flex' : 'none';
+    fitCanvas();
+    state.players = Array.from({ length: ferCountFor(state.mode) }, (_, i) => new Player(i));
+    state.match = null;
+    state.survival = null;
+    state.run = state.mode === 'versus' ? null : { mode: state.mode, startWave: state.waveIndex, wavesCleared: 0, combo: 0, waves: [] };
+    enterArena(arenaFor(state.arenaPick, state.mode === 'versus' ? 0 : state.waveIndex));
+    if (state.mode === 'versus') startMatch();
+    else if (state.mode === 'survival') startSurvival();
+    else spawnWave(state.waveIndex);
+    updateCamera(0, true);
     state.running = true;
     state.paused = false;
     state.lastTs = 0;
+    state.accumulatorMs = 0;
     requestAnimationFrame(loop);
   }
 
   function spawnWave(index) {
-    const cfg = WAVES[index % WAVES.length];
-    // Scale difficulty on cycles
-    const cycle = Math.floor(index / WAVES.length);
-    const scaled = {
-      name: cfg.name + (cycle > 0 ? ` +${cycle}` : ''),
-      health: Math.round(cfg.health * (1 + cycle * 0.25)),
-      speed: cfg.speed * (1 + cycle * 0.05),
-      primary: cfg.primary,
-      secondary: cfg.secondary
-    };
-    state.enemy = new Plush(scaled);
+    const wave = state.roster.waves[index % state.roster.waves.length];
+    enterArena(arenaFor(state.arenaPick, index));
+    state.pendingEnemies = waveEnemies(state.roster, index);
+    if (!state.replay && state.mode in profile.progress && index > profile.progress[state.mode]) {
+      profile.progress[state.mode] = index;
+      Save.write();
+    }
+    if (state.run) state.run.waves.push(waveStats(index, state.pendingEnemies.reduce((sum, p) => sum + p.def.health, 0)));
+    // The wave opener takes the usual spot on the right of the Fers' screen; the rest arrive on their own clock
+    const def = state.pendingEnemies.shift().def;
+    state.enemies = [makeEnemy(def, cameraTarget() + WIDTH - 88 - def.body.w)];
+    if (wave.name) showToast(wave.name, 1600);
+  }
+
+  // Bring on wave enemies whose delay has run out (the next one straight away if the field is clear),
+  // at the edge of the screen around the Fers that's farther from them
+  function updatePendingEnemies(dt) {
+    const pending = state.pendingEnemies;
+    for (const p of pending) p.delayMs -= dt * 16;
+    while (pending.length && (pending[0].delayMs <= 0 || !state.enemies.length)) {
+      const enemy = enterEnemy(pending.shift().def);
+      showToast(`${enemy.name} joins the fight!`);
+    }
+  }
+  function enterEnemy(def) {
+    const standing = state.players.filter(p => !p.down);
+    const ferX = standing.reduce((sum, p) => sum + p.x + p.w / 2, 0) / (standing.length || 1);
+    const left = viewLeft(ferX);
+    const enemy = makeEnemy(def, ferX > left + WIDTH / 2 ? left + 40 : left + WIDTH - 40 - def.body.w);
+    state.enemies.push(enemy);
+    spawnBurst(enemy.x + enemy.w / 2, enemy.y + enemy.h / 2, enemy.colorSecondary, 16, 3);
+    AudioEngine.playTone(262, 0.12, 'triangle', 0.35);
+    return enemy;
+  }
+
+  // Plushes walking at the same Fer would stack up; nudge overlapping ones apart
+  function separateEnemies(dt) {
+    const list = state.enemies;
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const a = list[i]; const b = list[j];
+        const overlap = Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x);
+        if (overlap <= 0) continue;
+        const dir = a.x + a.w / 2 <= b.x + b.w / 2 ? -1 : 1;
+        a.vx += dir * 0.3 * dt;
+        b.vx -= dir * 0.3 * dt;
+      }
+    }
   }
 
   function nextWave() {
     state.waveIndex += 1;
+    // Knocked-out partners get back up for the next wave
+    for (const p of state.players) {
+      if (!p.down) continue;
+      p.down = false;
+      p.health = Math.round(p.maxHealth / 2);
+      p.invMs = 1000;
+    }
     spawnWave(state.waveIndex);
   }
 
+  // A plush KO: the wave is won once every plush (including ones still to arrive) is down; a round win in versus
+  const fallen = []; // defeated plushes, off the field but still shown knocked out for KO_ANIM_MS
+  function onEnemyDefeated(enemy) {
+    if (state.mode === 'versus') { endRound(0, 'KO'); return; }
+    const i = state.enemies.indexOf(enemy);
+    if (i < 0) return; // already counted (several hits on the same tick)
+    state.enemies.splice(i, 1);
+    fallen.push(enemy);
+    if (state.run) currentWaveStats().kills++;
+    dropFrom(enemy, 'defeat');
+    spawnBurst(enemy.x + enemy.w / 2, enemy.y + enemy.h / 2, enemy.colorPrimary, 28, 4);
+    // A boss's minions scatter with it
+    if (enemy instanceof Boss) {
+      for (const m of state.enemies.filter(e => e.summoner === enemy)) {
+        state.enemies.splice(state.enemies.indexOf(m), 1);
+        spawnBurst(m.x + m.w / 2, m.y + m.h / 2, '#ffffff', 12, 3);
+      }
+    }
+    if (!state.survival && !state.enemies.length && !state.pendingEnemies.length) onWin();
+  }
+
   function onWin() {
-    setEggs(eggCount + 1);
-    awardUnlockForLevel(state.waveIndex + 1);
+    if (!state.replay) earnEggs(1);
+    recordStat('wavesCleared');
+    state.run.wavesCleared++;
+    if (state.mode !== 'daily') awardUnlockForLevel(state.waveIndex + 1);
     startInterlude('You won! +1 🥚');
     AudioEngine.chord([523.25, 659.25, 783.99], 0.5, 'sawtooth', 1);
   }
 
   function awardUnlockForLevel(level) {
-    if (level === 1 && !state.unlocks.horse) {
-      state.unlocks.horse = true;
-      showToast('Unlocked: Horse 🐴');
-    } else if (level === 2 && !state.unlocks.jetpack) {
-      state.unlocks.jetpack = true;
-      showToast('Unlocked: Jetpack 🚀');
+    for (const def of PERKS.values()) {
+      if (def.unlockLevel !== level || state.unlocks[def.id]) continue;
+      state.unlocks[def.id] = true;
+      if (!state.replay) {
+        profile.unlocks[def.id] = true;
+        Save.write();
+      }
+      showToast(`Unlocked: ${def.name} ${def.icon}`);
     }
   }
 
   const ducks = [];
   function startInterlude(message) {
     showToast(message, 1200);
-    state.interludeMs = 2200;
-    // Spawn a screen of tiny ducks
+    state.interludeMs = 2200; // counted down by update() so the interlude stays on the sim clock
+    // Spawn a screen of tiny ducks (purely visual, so they don't touch the run RNG)
+    const fx = Math.random;
     ducks.length = 0;
     for (let i = 0; i < 120; i++) {
       ducks.push({
-        x: rand(-100, WIDTH + 100),
-        y: rand(20, GROUND_Y - 40),
-        vx: rand(0.5, 1.8) * (Math.random() < 0.5 ? -1 : 1),
+        x: rand(-100, WIDTH + 100, fx),
+        y: rand(20, GROUND_Y - 40, fx),
+        vx: rand(0.5, 1.8, fx) * (fx() < 0.5 ? -1 : 1),
         vy: Math.sin(i) * 0.2,
-        t: rand(0, Math.PI * 2),
-        s: rand(0.6, 1.2)
+        t: rand(0, Math.PI * 2, fx),
+        s: rand(0.6, 1.2, fx)
       });
     }
-    setTimeout(() => {
-      nextWave();
-      state.interludeMs = 0;
-      ducks.length = 0;
-    }, state.interludeMs);
+  }
+
+  // Versus match flow: rounds end on a KO or when the clock runs out (more health left wins)
+  function startMatch() {
+    state.match = { round: 1, wins: [0, 0], roundMs: ROUND_MS, rounds: [], decided: false };
+    state.enemies = [new Plush(VERSUS_PLUSH, true)];
+    state.pendingEnemies = [];
+  }
+  function endRound(winner, reason) {
+    const m = state.match;
+    if (!m || state.interludeMs > 0) return;
+    if (winner >= 0) m.wins[winner]++;
+    m.rounds.push({ winner, reason });
+    m.decided = m.wins.some(w => w >= ROUNDS_TO_WIN);
+    const who = winner === 0 ? state.players[0].name : winner === 1 ? state.enemies[0].name : null;
+    showToast(who ? `Round ${m.round}: ${who}${reason === 'time' ? ' on time' : '!'}` : `Round ${m.round}: draw`, 1600);
+    state.interludeMs = ROUND_BREAK_MS;
+    AudioEngine.chord(winner === 0 ? [523.25, 659.25, 783.99] : [392, 466.16, 587.33], 0.4, 'triangle', 1);
+  }
+  function nextRound() {
+    const m = state.match;
+    if (m.decided) { onMatchOver(); return; }
+    m.round++;
+    m.roundMs = ROUND_MS;
+    projectiles.length = 0;
+    state.players = [new Player(0)];
+    state.players[0].x = clearSpot(state.players[0].x, state.players[0].w);
+    state.enemies = [new Plush(VERSUS_PLUSH, true)];
+  }
+  function onMatchOver() {
+    if (state.replay) { finishReplay(); return; }
+    const m = state.match;
+    state.running = false;
+    recordStat('matches');
+    recordStat('playMs', Math.round(state.tick * STEP_MS));
+    lastReplay = state.recording;
+    state.recording = null;
+    const winner = m.wins[0] > m.wins[1] ? 0 : 1;
+    overlay.querySelector('h1').textContent = winner === 0 ? `${state.players[0].name} wins the match!` : 'The plush wins the match!';
+    overlay.querySelector('.subtitle').textContent = `Rounds ${m.wins[0]} – ${m.wins[1]}`;
+    overlay.querySelector('.desc').textContent = m.rounds.map((r, i) => {
+      const who = r.winner === 0 ? 'Fer' : r.winner === 1 ? 'Plush' : 'Draw';
+      return `R${i + 1}: ${who}${r.reason === 'time' ? ' (time)' : r.winner >= 0 ? ' (KO)' : ''}`;
+    }).join(' · ');
+    overlay.classList.add('show');
+    startBtn.textContent = 'Rematch';
+    if (exportReplayBtn) exportReplayBtn.style.display = lastReplay ? '' : 'none';
+    AudioEngine.chord([523.25, 659.25, 783.99, 1046.5], 0.6, 'sawtooth', 1);
+  }
+
+  // Survival: no waves or interludes. Plushes keep coming on the roster's difficulty curves, read at minutes
+  // survived, and pickups drop in, until the Fers go down. The whole run is one long "wave" in the stats.
+  function startSurvival() {
+    const cfg = survivalConfig(state.roster);
+    state.survival = { cfg, spawnMs: 0, pickupMs: cfg.pickups.everyMs };
+    state.pendingEnemies = [];
+    state.enemies = [];
+    state.run.waves.push(waveStats(0, 0));
+  }
+  const survivalMinutes = () => currentWaveStats().ticks * STEP_MS / 60000;
+  function updateSurvival(dt) {
+    const sv = state.survival;
+    const { cfg } = sv;
+    const minutes = survivalMinutes();
+    const curve = name => (cfg.difficulty[name] ? curveAt(cfg.difficulty[name], minutes) : 1);
+    sv.spawnMs -= dt * 16;
+    // A cleared field doesn't wait out the whole interval
+    if (!state.enemies.length) sv.spawnMs = Math.min(sv.spawnMs, SURVIVAL_REFILL_MS);
+    if (sv.spawnMs <= 0 && state.enemies.length < Math.round(cfg.maxEnemies * curve('maxEnemies'))) {
+      sv.spawnMs = cfg.spawnMs / curve('spawnRate');
+      const pool = cfg.pool.filter(e => typeof e === 'string' || !e.fromMs || e.fromMs <= minutes * 60000);
+      const entry = pool[randInt(0, pool.length - 1)];
+      const enemies = state.roster.enemies;
+      // The survival curves replace each plush's own wave scaling
+      const def = scaledEnemy({ ...enemies[typeof entry === 'string' ? entry : entry.id], scaling: undefined }, minutes, cfg.difficulty, enemies);
+      currentWaveStats().enemyHealth += def.health;
+      enterEnemy(def);
+    }
+    sv.pickupMs -= dt * 16;
+    if (sv.pickupMs <= 0) {
+      sv.pickupMs = cfg.pickups.everyMs;
+      const type = rollPickup(cfg.pickups.weights);
+      const left = cameraTarget();
+      if (type) pickups.push(new Pickup(rand(left + 60, left + WIDTH - 80), -30, type, cfg.pickups.lifeMs));
+    }
+  }
+
+  // Run summary: per-wave stats gathered as the run plays, then the whole run in a form a scoreboard server can
+  // plausibility-check. The score is derived from it, so the server can recompute it instead of trusting it.
+  const currentWaveStats = () => state.run.waves[state.run.waves.length - 1];
+  const waveStats = (wave, enemyHealth) => ({ wave, ticks: 0, enemyHealth, damageDealt: 0, damageTaken: 0, kills: 0, hits: 0, bestCombo: 0, comboPoints: 0, bombPoints: 0, dodges: 0 });
+  function noteDamage(fighter, amount) {
+    if (!state.run || !amount || !state.run.waves.length) return;
+    currentWaveStats()[fighter instanceof Player ? 'damageTaken' : 'damageDealt'] += amount;
+    if (fighter instanceof Player) breakCombo(fighter);
+  }
+  // Built as a live run ends, from its recording (which already counts the tick in progress)
+  function runSummary(recording) {
+    const run = state.run;
+    return {
+      version: RUN_SUMMARY_VERSION,
+      seed: state.seed,
+      mode: state.mode,
+      players: state.players.length,
+      startWave: run.startWave,
+      endWave: state.waveIndex,
+      wavesCleared: run.wavesCleared,
+      ticks: recording.ticks,
+      durationMs: Math.round(recording.ticks * STEP_MS),
+      inputHash: hashString(JSON.stringify(recording.inputs)),
+      upgrades: { ...state.upgrades },
+      modifiers: { ...state.modifiers },
+      difficulty: state.difficulty,
+      ...(state.daily && { date: state.daily.date }),
+      waves: run.waves.map(w => ({ ...w, ticks: Math.round(w.ticks), damageDealt: Math.round(w.damageDealt), damageTaken: Math.round(w.damageTaken) }))
+    };
+  }
+
+  // Scoring: hearts and flowers that land build a combo (each hit is worth more the longer it runs) until a Fer
+  // gets hurt; bombs score extra for every plush past the first they catch; a cotton puff that brushes past a Fer
+  // without hitting is a perfect dodge. Clearing a wave adds a clear bonus, a no-damage bonus and a time bonus for
+  // beating par (which grows with the wave's plush health). Everything is kept in the per-wave stats, so the score
+  // follows from the run summary. Must match SCORING in server/run-checks.js.
+  const SCORING = { clear: 100, noDamage: 200, timeMax: 300, parTicksPerHealth: 8, hit: 10, comboStep: 0.1, comboMaxMult: 3, bombExtra: 50, dodge: 25, dodgeMargin: 24 };
+  const comboMult = combo => Math.min(SCORING.comboMaxMult, 1 + (combo - 1) * SCORING.comboStep);
+  const grownRect = (r, m) => ({ x: r.x - m, y: r.y - m, w: r.w + m * 2, h: r.h + m * 2 });
+  function clearBonuses(w) {
+    const par = w.enemyHealth * SCORING.parTicksPerHealth;
+    return {
+      clear: SCORING.clear,
+      noDamage: Math.round(w.damageTaken) ? 0 : SCORING.noDamage,
+      time: Math.max(0, Math.round(SCORING.timeMax * (1 - w.ticks / par)))
+    };
+  }
+  function wavePoints(w, cleared) {
+    const bonus = cleared ? clearBonuses(w) : null;
+    return w.comboPoints + w.bombPoints + w.dodges * SCORING.dodge + (bonus ? bonus.clear + bonus.noDamage + bonus.time : 0);
+  }
+  // Works on a run summary or on state.run as it plays. Survival scores whole seconds survived instead.
+  // Eggs a run earned: one a wave cleared, or one a minute survived
+  const runEggs = run => (run.mode === 'survival' ? Math.floor(Math.round(run.waves[0].ticks) / 3600) : run.wavesCleared);
+  const runScore = run => (run.mode === 'survival'
+    ? Math.floor(Math.round(run.waves[0].ticks) / 60)
+    : run.waves.reduce((sum, w, i) => sum + wavePoints(w, i < run.wavesCleared), 0));
+  // The headline numbers kept with a score
+  function scoreBreakdown(summary) {
+    const cleared = summary.waves.slice(0, summary.wavesCleared);
+    return {
+      bestCombo: Math.max(0, ...summary.waves.map(w => w.bestCombo)),
+      noDamageClears: cleared.filter(w => clearBonuses(w).noDamage).length,
+      timeBonus: cleared.reduce((sum, w) => sum + clearBonuses(w).time, 0),
+      bombPoints: summary.waves.reduce((sum, w) => sum + w.bombPoints, 0),
+      dodges: summary.waves.reduce((sum, w) => sum + w.dodges, 0)
+    };
+  }
+
+  // Floating "+12"s over the action (updated with the sim, drawn over everything but the HUD)
+  const scorePopups = [];
+  function scorePopup(x, y, text, color = '#ffffff') {
+    scorePopups.push({ x, y, text, color, life: 900 });
+  }
+  // Combo, bomb and dodge points only count outside survival
+  function pointsPopup(...args) {
+    if (state.mode !== 'survival') scorePopup(...args);
+  }
+  function scoreHit(enemy) {
+    const run = state.run;
+    if (!run) return;
+    const w = currentWaveStats();
+    run.combo++;
+    w.hits++;
+    w.bestCombo = Math.max(w.bestCombo, run.combo);
+    const points = Math.round(SCORING.hit * comboMult(run.combo));
+    w.comboPoints += points;
+    pointsPopup(enemy.x + enemy.w / 2, enemy.y - 8, `+${points}`, run.combo >= 10 ? '#ff8fab' : run.combo >= 5 ? '#ffd166' : '#ffffff');
+  }
+  function scoreBomb(hits, x, y) {
+    if (!state.run || hits < 2) return;
+    const points = SCORING.bombExtra * (hits - 1);
+    currentWaveStats().bombPoints += points;
+    pointsPopup(x, y - 40, `${hits}x multi-hit! +${points}`, '#ffec99');
+  }
+  function scoreDodge(proj) {
+    if (!state.run) return;
+    currentWaveStats().dodges++;
+    pointsPopup(proj.x + proj.w / 2, proj.y - 12, `Perfect dodge! +${SCORING.dodge}`, '#8affc1');
+  }
+  function breakCombo(player) {
+    if (state.run.combo >= 5) pointsPopup(player.x + player.w / 2, player.y - 12, `Combo x${state.run.combo} broken`, '#ff6b6b');
+    state.run.combo = 0;
+  }
+
+  // A fighter that drops out of the bottom of the screen climbs back out at the pit's near edge, hurt
+  function fallIntoPit(f) {
+    f.x = clearSpot(f.x, f.w);
+    f.y = GROUND_Y - f.h;
+    f.vx = 0; f.vy = 0;
+    if (f instanceof Plush) { f.leap = null; f.dash = null; }
+    spawnBurst(f.x + f.w / 2, GROUND_Y, '#ffffff', 14, 3);
+    if (f.down) return;
+    f.invMs = 0;
+    const killed = f.takeDamage(PIT_DAMAGE);
+    if (killed) { if (f instanceof Player) onPlayerDown(f); else onEnemyDefeated(f); return; }
+    f.invMs = 1000;
+    showToast(`${f.name} fell in!`, 900);
+  }
+  function onPlayerDown(player) {
+    if (player.down) return;
+    if (state.mode === 'versus') { endRound(1, 'KO'); return; }
+    player.down = true;
+    player.vx = 0;
+    stopAllPerks(player);
+    if (state.players.every(p => p.down)) onLose();
+    else showToast(`${player.name} is down!`);
   }
 
   function onLose() {
+    if (state.replay) { finishReplay(); return; }
     state.running = false;
-    overlay.querySelector('h1').textContent = 'Fer was overwhelmed!';
-    overlay.querySelector('.subtitle').textContent = 'Press Start to try again';
+    recordStat('losses');
+    recordStat('playMs', Math.round(state.tick * STEP_MS));
+    lastRunId = `${state.seed.toString(36)}-${Date.now().toString(36)}`;
+    // Practice runs of the day's challenge don't get a score to submit
+    const practice = state.daily && !state.daily.scored;
+    lastRunSummary = practice ? null : runSummary(state.recording);
+    if (state.daily && !practice) Save.setDaily({ date: state.daily.date, score: runScore(lastRunSummary) });
+    if (state.survival && runEggs(state.run)) earnEggs(runEggs(state.run));
+    lastReplay = state.recording;
+    state.recording = null;
+    syncContinueBtn();
+    renderDailyInfo();
+    overlay.querySelector('h1').textContent = state.survival ? `Fer lasted ${formatTicks(currentWaveStats().ticks)}!`
+      : state.players.length > 1 ? 'Both Fers were overwhelmed!' : 'Fer was overwhelmed!';
+    overlay.querySelector('.subtitle').textContent = !practice ? 'Press Start to try again'
+      : dailyScorable() ? 'Practice run: today\'s scored attempt is already used' : 'Practice run: the daily is only scored with enemies.json loaded';
     overlay.querySelector('.desc').textContent = 'Tip: Kisses are fast, flowers hit hard. Jump over puffs!';
     overlay.classList.add('show');
     startBtn.textContent = 'Retry';
     AudioEngine.playTone(130.81, 0.4, 'sine', 0.6);
+    if (exportReplayBtn) exportReplayBtn.style.display = lastReplay ? '' : 'none';
+    if (usernameInput2) usernameInput2.style.display = state.players.length > 1 ? '' : 'none';
     // Show score submit UI
     if (typeof scoreEntry !== 'undefined' && scoreEntry) {
-      scoreEntry.style.display = 'block';
+      scoreEntry.style.display = practice ? 'none' : 'block';
       fetchGlobalScores().then(()=>renderScores());
     }
   }
 
+  // Replay recording / playback
+  function recordInput(runs, input) {
+    const moveX = Math.round(input.moveX * 100);
+    const last = runs[runs.length - 1];
+    if (last && last[0] === input.mask && last[1] === moveX) last[2]++;
+    else runs.push([input.mask, moveX, 1]);
+  }
+  // Inputs for the next tick, one per player: from the replay log when watching, otherwise sampled live (and recorded)
+  function readTickInput() {
+    const r = state.replay;
+    if (r) {
+      if (r.tick >= r.data.ticks) return null;
+      r.tick++;
+      return r.data.inputs.map((runs, i) => {
+        const c = r.cursors[i];
+        const run = runs[c.run];
+        if (!run) return NO_INPUT;
+        if (++c.used >= run[2]) { c.run++; c.used = 0; }
+        return { mask: run[0], moveX: run[1] / 100 };
+      });
+    }
+    const count = playerCountFor(state.mode);
+    const inputs = Array.from({ length: count }, (_, i) => Input.sample(i, count));
+    Input.endTick();
+    if (state.recording) {
+      inputs.forEach((input, i) => recordInput(state.recording.inputs[i], input));
+      state.recording.ticks++;
+    }
+    return inputs;
+  }
+  // Older replays: v1 logged raw keys (mapped onto the default bindings of the time), v2 had a single player,
+  // v3 played on a single screen, v4 had Fer's original three attacks, v5 hit fighters anywhere in their rect,
+  // v6 had the original plush AI, v7 left a plush up on a ledge over Fer. v3 also means the shared perk toggle and
+  // no plush drops.
+  const CLASSIC_MOVES = 'classic';
+  function migrateReplay(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.inputs)) return data;
+    if (data.version === 1) {
+      const v1Actions = { arrowleft: 'left', a: 'left', arrowright: 'right', d: 'right', arrowup: 'jump', w: 'jump', ' ': 'jump', z: 'kiss', j: 'kiss', x: 'flower', k: 'flower', c: 'bomb', l: 'bomb', q: 'perk' };
+      const inputs = data.inputs.map(([keyMask, ticks]) => {
+        let mask = 0;
+        V1_RECORDED_KEYS.forEach((k, i) => { if (keyMask & (1 << i)) mask |= ACTION_BIT[v1Actions[k]]; });
+        const moveX = ((mask & ACTION_BIT.right) ? 100 : 0) - ((mask & ACTION_BIT.left) ? 100 : 0);
+        return [mask, moveX, ticks];
+      });
+      data = { ...data, version: 2, inputs };
+    }
+    if (data.version === 2) data = { ...data, version: 3, mode: 'solo', inputs: [data.inputs] };
+    if (data.version === 3) data = { ...data, version: 4, arena: CLASSIC_ARENA, perks: CLASSIC_PERKS, drops: CLASSIC_DROPS };
+    if (data.version === 4) data = { ...data, version: 5, moves: CLASSIC_MOVES };
+    if (data.version === 5) data = { ...data, version: 6, hurtboxes: CLASSIC_HURTBOXES };
+    if (data.version === 6) data = { ...data, version: 7, ai: CLASSIC_AI };
+    if (data.version === 7) data = { ...data, version: 8, ledges: CLASSIC_LEDGES };
+    return data;
+  }
+  function validateReplay(data) {
+    if (!data || typeof data !== 'object') return 'not a replay file';
+    if (data.version !== REPLAY_VERSION) return `unsupported replay version ${data.version}`;
+    if (!MODES.includes(data.mode)) return `unknown mode ${data.mode}`;
+    if (!Number.isInteger(data.seed) || data.seed < 0) return 'missing seed';
+    if (!Number.isInteger(data.wave) || data.wave < 0) return 'missing wave index';
+    if (!Number.isInteger(data.ticks) || data.ticks < 0) return 'missing tick count';
+    if (!data.unlocks || typeof data.unlocks !== 'object') return 'missing unlocks';
+    if (data.upgrades !== undefined && (!data.upgrades || typeof data.upgrades !== 'object' ||
+      !Object.values(data.upgrades).every(v => Number.isInteger(v) && v >= 0 && v <= 5))) return 'bad upgrade levels';
+    if (data.modifiers !== undefined && (!data.modifiers || typeof data.modifiers !== 'object' ||
+      !Object.keys(data.modifiers).every(id => DAILY_MODIFIERS.some(m => m.id === id)))) return 'unknown modifiers';
+    if (data.arena !== 'auto' && data.arena !== CLASSIC_ARENA && !ARENAS.has(data.arena)) return `unknown arena ${data.arena}`;
+    if (data.moves !== undefined && data.moves !== CLASSIC_MOVES) return `unknown moveset ${data.moves}`;
+    if (data.hurtboxes !== undefined && data.hurtboxes !== CLASSIC_HURTBOXES) return `unknown hurtboxes ${data.hurtboxes}`;
+    if (data.ai !== undefined && data.ai !== CLASSIC_AI) return `unknown AI ${data.ai}`;
+    if (data.ledges !== undefined && data.ledges !== CLASSIC_LEDGES) return `unknown ledges ${data.ledges}`;
+    if (data.perks !== undefined && data.perks !== CLASSIC_PERKS) return `unknown perks ${data.perks}`;
+    if (data.drops !== undefined && data.drops !== CLASSIC_DROPS) return `unknown drops ${data.drops}`;
+    if (data.difficulty !== undefined && !DIFFICULTIES[data.difficulty]) return `unknown difficulty ${data.difficulty}`;
+    if (data.roster !== undefined) {
+      const errors = validateRoster(data.roster);
+      if (errors.length) return `bad enemy roster (${errors[0]})`;
+    }
+    const validRun = r => Array.isArray(r) && Number.isInteger(r[0]) && Number.isInteger(r[1]) && Math.abs(r[1]) <= 100 && Number.isInteger(r[2]) && r[2] > 0;
+    if (!Array.isArray(data.inputs) || data.inputs.length !== playerCountFor(data.mode) ||
+      !data.inputs.every(runs => Array.isArray(runs) && runs.every(validRun))) return 'malformed input log';
+    return null;
+  }
+  function startReplay(data) {
+    const restore = { waveIndex: state.waveIndex, unlocks: { ...state.unlocks }, mode: state.mode };
+    if (scoreEntry) scoreEntry.style.display = 'none';
+    if (scoreboardEl) scoreboardEl.style.display = 'none';
+    const cursors = data.inputs.map(() => ({ run: 0, used: 0 }));
+    startGame(false, data.seed, { data, cursors, tick: 0, speed: Number(replaySpeedSel.value) || 1, restore });
+    syncReplayBar();
+  }
+  function finishReplay(message = 'Replay finished') {
+    const r = state.replay;
+    if (!r) return;
+    state.running = false;
+    state.replay = null;
+    state.unlocks = r.restore.unlocks;
+    setMode(r.restore.mode);
+    state.waveIndex = r.restore.waveIndex;
+    replayBar.style.display = 'none';
+    fitCanvas();
+    overlay.querySelector('h1').textContent = message;
+    overlay.querySelector('.subtitle').textContent = `Seed ${r.data.seed} · ${formatTicks(r.tick)} watched`;
+    overlay.querySelector('.desc').textContent = 'Press Start to play, or load another replay.';
+    startBtn.textContent = 'Start';
+    overlay.classList.add('show');
+  }
+  function formatTicks(ticks) {
+    const secs = Math.floor(ticks * STEP_MS / 1000);
+    return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, '0')}`;
+  }
+  function syncReplayBar() {
+    const r = state.replay;
+    if (!r) return;
+    replayPauseBtn.textContent = state.paused ? '▶' : '⏸';
+    replayStepBtn.disabled = !state.paused;
+    replayProgressEl.textContent = `${formatTicks(r.tick)} / ${formatTicks(r.data.ticks || 0)}`;
+  }
+  function downloadJson(filename, data) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
   // Collision helpers
   function rectsOverlap(a, b) {
     return a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
@@ -737,6 +3722,39 @@
     ctx.fill();
   }
 
+  function drawButton(x, y, w, h, color) {
+    const r = Math.min(w, h) / 2;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x + w / 2, y + h / 2, r, 0, TAU);
+    ctx.fill();
+    ctx.fillStyle = 'rgba(0,0,0,0.45)';
+    for (const [dx, dy] of [[-1, -1], [1, -1], [-1, 1], [1, 1]]) ctx.fillRect(x + w / 2 + dx * r * 0.3 - 1, y + h / 2 + dy * r * 0.3 - 1, 2, 2);
+  }
+
+  function drawShockwave(x, y, w, h, facing) {
+    ctx.fillStyle = 'rgba(255,255,255,0.85)';
+    ctx.beginPath();
+    ctx.moveTo(x + (facing === 1 ? 0 : w), y + h);
+    ctx.quadraticCurveTo(x + w / 2, y - h * 0.4, x + (facing === 1 ? w : 0), y + h);
+    ctx.fill();
+  }
+
+  function drawYarn(x, y, w, h, color) {
+    const r = Math.min(w, h) / 2;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x + w / 2, y + h / 2, r, 0, TAU);
+    ctx.fill();
+    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+    ctx.lineWidth = 1.5;
+    for (let i = -1; i <= 1; i++) {
+      ctx.beginPath();
+      ctx.arc(x + w / 2 + i * r * 0.5, y + h / 2, r * 0.8, -0.9, 0.9);
+      ctx.stroke();
+    }
+  }
+
   function drawStar(x, y, w, h, fill, stroke) {
     const cx = x + w / 2; const cy = y + h / 2; const outer = Math.max(w, h) / 2; const inner = outer * 0.5;
     ctx.beginPath();
@@ -754,36 +3772,436 @@
     ctx.fill();
     ctx.stroke();
   }
-
-function drawBackground(t) {
-  // Colorful happy parallax: rainbow, clouds, balloons, grass
-  const cx = WIDTH * 0.5;
-  const cy = GROUND_Y + 100;
-  const colors = ['#ff8da1','#ffd166','#8affc1','#7ad9ff','#c9a0ff'];
-  for (let i = 0; i < colors.length; i++) {
+  // Shield bubble (alpha fades the fill, the rim stays solid)
+  function drawBubble(cx, cy, r, alpha) {
     ctx.beginPath();
-    ctx.strokeStyle = colors[i];
-    ctx.lineWidth = 16;
-    ctx.arc(cx, cy, 520 - i * 18, Math.PI, Math.PI * 2);
+    ctx.arc(cx, cy, r, 0, TAU);
+    ctx.fillStyle = `rgba(115,167,255,${0.35 * alpha})`;
+    ctx.fill();
+    ctx.strokeStyle = '#73a7ff';
+    ctx.lineWidth = 2;
     ctx.stroke();
+    ctx.fillStyle = 'rgba(255,255,255,0.6)';
+    ctx.beginPath();
+    ctx.arc(cx - r * 0.35, cy - r * 0.35, r * 0.15, 0, TAU);
+    ctx.fill();
   }
-  for (let i = 0; i < 6; i++) {
-    const x = (t * 0.02 + i * 180) % (WIDTH + 200) - 100;
-    drawCloud(x, 80 + (i % 3) * 30, 70 + (i % 2) * 20);
+
+  // Arenas: themed stages wider than the screen. Each has a palette (sky and ground gradients), parallax layers
+  // drawn in screen space behind everything (parallax 0 stays put, 1 scrolls with the stage), props drawn along
+  // the stage itself, and music (motifs picked by wave). registerArena() adds one; a wave's "arena" in
+  // enemies.json picks it, or the player does on the start screen.
+  const ARENAS = new Map();
+  function registerArena(def) { ARENAS.set(def.id, def); }
+  // Replays from before arenas were recorded on a single screen of park
+  const CLASSIC_ARENA = 'classic';
+  const wrap = (v, period) => ((v % period) + period) % period;
+
+  const ODE_TO_JOY = { base: 261.63, seq: [0,0,2,4,4,2,0,-2, -2,0,2,4,4,2,0,-2, -2,0,-2,-5,0, -2,-5,-9] }; // Beethoven
+  const EINE_KLEINE = { base: 392.00, seq: [7,7,7,5,4,5,7,5,4,5,7,7,7,5,4,5,7,5,4,5,7] }; // Mozart
+  registerArena({
+    id: 'park',
+    name: 'Park',
+    width: 1440,
+    sky: ['#c1f4ff', '#9be7ff', '#7ad9ff'],
+    ground: ['#b7f7a8', '#88e07f'],
+    layers: [
+      { parallax: 0.1, draw: (t, scroll) => {
+        const colors = ['#ff8da1','#ffd166','#8affc1','#7ad9ff','#c9a0ff'];
+        for (let i = 0; i < colors.length; i++) {
+          ctx.beginPath();
+          ctx.strokeStyle = colors[i];
+          ctx.lineWidth = 16;
+          ctx.arc(WIDTH * 0.5 - scroll, GROUND_Y + 100, 520 - i * 18, Math.PI, Math.PI * 2);
+          ctx.stroke();
+        }
+      } },
+      { parallax: 0.2, draw: (t, scroll) => {
+        for (let i = 0; i < 6; i++) drawCloud(wrap(t * 0.02 + i * 180 - scroll, WIDTH + 200) - 100, 80 + (i % 3) * 30, 70 + (i % 2) * 20);
+      } },
+      { parallax: 0.35, draw: (t, scroll) => {
+        for (let i = 0; i < 5; i++) drawBalloon(wrap(i * 180 + t * 0.05 - scroll, WIDTH + 100) - 50, 140 + Math.sin((t * 0.003) + i) * 20);
+      } }
+    ],
+    props: (t, width) => {
+      for (let x = 300; x < width; x += 560) drawTree(x, GROUND_Y);
+      for (let x = 560; x < width; x += 700) drawBench(x, GROUND_Y);
+    },
+    music: [ODE_TO_JOY, EINE_KLEINE]
+  });
+  registerArena({
+    id: 'beach',
+    name: 'Beach',
+    width: 1920,
+    sky: ['#a0c4ff', '#ffc8dd', '#ffd6a5'],
+    ground: ['#ffe8b0', '#f6cf7d'],
+    layers: [
+      { parallax: 0.05, draw: (t, scroll) => {
+        ctx.fillStyle = 'rgba(255,241,168,0.5)';
+        ctx.beginPath(); ctx.arc(700 - scroll, 130, 80, 0, TAU); ctx.fill();
+        ctx.fillStyle = '#fff1a8';
+        ctx.beginPath(); ctx.arc(700 - scroll, 130, 56, 0, TAU); ctx.fill();
+      } },
+      { parallax: 0.2, draw: (t, scroll) => {
+        ctx.fillStyle = '#4cc9f0';
+        ctx.fillRect(0, GROUND_Y - 90, WIDTH, 90);
+        ctx.fillStyle = 'rgba(255,255,255,0.6)';
+        for (let row = 0; row < 3; row++) {
+          for (let i = 0; i < 12; i++) {
+            const x = wrap(i * 110 + row * 40 + Math.sin(t * 0.001 + i) * 12 - scroll * (1 + row * 0.3), WIDTH + 110) - 60;
+            ctx.fillRect(x, GROUND_Y - 80 + row * 26, 36, 3);
+          }
+        }
+        for (let i = 0; i < 2; i++) drawSailboat(wrap(i * 520 + t * 0.01 - scroll, WIDTH + 200) - 100, GROUND_Y - 92);
+      } }
+    ],
+    props: (t, width) => {
+      for (let x = 200; x < width; x += 640) drawPalm(x, GROUND_Y, t);
+      for (let x = 460; x < width; x += 640) drawUmbrella(x, GROUND_Y, ['#ff6b6b', '#73a7ff', '#8affc1'][Math.floor(x / 640) % 3]);
+      for (let x = 820; x < width; x += 900) drawSandcastle(x, GROUND_Y);
+    },
+    // Offenbach (Barcarolle)
+    music: [{ base: 293.66, type: 'triangle', seq: [4,5,4,2, 4,5,4,2, 4,7,5,4, 2,4,2,0, -1,0,2,4, 5,4,2,0] }]
+  });
+  registerArena({
+    id: 'toystore',
+    name: 'Toy Store',
+    width: 1280,
+    sky: ['#fef6e4', '#f8e1d0', '#f3d2c1'],
+    ground: ['#d4a373', '#bc8a5f'],
+    layers: [
+      { parallax: 0.3, draw: (t, scroll) => {
+        const colors = ['#ff8fab', '#ffd166', '#8affc1', '#73a7ff', '#c77dff'];
+        for (let i = 0; i < 6; i++) {
+          const x = wrap(i * 240 - scroll, WIDTH + 240) - 200;
+          ctx.fillStyle = '#8d6e63';
+          ctx.fillRect(x, 110, 180, GROUND_Y - 120);
+          for (let row = 0; row < 3; row++) {
+            const y = 130 + row * 100;
+            ctx.fillStyle = '#6d4c41';
+            ctx.fillRect(x + 6, y + 70, 168, 8);
+            for (let b = 0; b < 4; b++) roundedRect(x + 14 + b * 40, y + 34 - (b % 2) * 12, 32, 36 + (b % 2) * 12, 4, colors[(i + row + b) % colors.length], true);
+          }
+        }
+      } },
+      { parallax: 0.5, draw: (t, scroll) => {
+        for (let i = 0; i < 8; i++) {
+          const x = wrap(i * 200 - scroll, WIDTH + 200) - 100;
+          ctx.fillStyle = 'rgba(255,255,220,0.25)';
+          ctx.beginPath(); ctx.moveTo(x + 20, 24); ctx.lineTo(x - 30, 200); ctx.lineTo(x + 90, 200); ctx.lineTo(x + 40, 24); ctx.fill();
+          ctx.fillStyle = '#fffbe6';
+          ctx.fillRect(x + 10, 16, 40, 8);
+        }
+      } }
+    ],
+    props: (t, width) => {
+      // Floor tiles, then stacks of blocks
+      ctx.fillStyle = 'rgba(0,0,0,0.08)';
+      for (let x = 0; x < width; x += 80) ctx.fillRect(x, GROUND_Y, 2, HEIGHT - GROUND_Y);
+      for (let x = 380; x < width; x += 520) drawBlockStack(x, GROUND_Y);
+    },
+    // Tchaikovsky (Dance of the Sugar Plum Fairy)
+    music: [{ base: 329.63, type: 'triangle', seq: [7,4,7,6, 3,4, 3,2,2,2, 1,1,1, 0,-1,0, -1,0,2,4,3] }]
+  });
+  registerArena({
+    id: 'fair',
+    name: 'Night Fair',
+    width: 1600,
+    sky: ['#0b132b', '#1c2541', '#3a506b'],
+    ground: ['#2d6a4f', '#1b4332'],
+    layers: [
+      { parallax: 0.02, draw: (t, scroll) => {
+        for (let i = 0; i < 40; i++) {
+          ctx.globalAlpha = 0.5 + 0.5 * Math.sin(t * 0.002 + i * 1.7);
+          ctx.fillStyle = '#ffffff';
+          ctx.fillRect(wrap(i * 97 - scroll, WIDTH), (i * 53) % 260 + 10, 2, 2);
+        }
+        ctx.globalAlpha = 1;
+      } },
+      { parallax: 0.15, draw: (t, scroll) => drawFerrisWheel(640 - scroll, GROUND_Y - 190, 150, t) },
+      { parallax: 0.5, draw: (t, scroll) => {
+        const colors = ['#ff6b6b', '#ffd166', '#8affc1', '#73a7ff'];
+        for (let i = 0; i < 4; i++) {
+          const x0 = wrap(i * 320 - scroll, WIDTH + 320) - 320;
+          for (let b = 0; b <= 10; b++) {
+            const x = x0 + b * 32;
+            const y = 40 + Math.sin((b / 10) * Math.PI) * 40;
+            ctx.fillStyle = colors[(b + i) % colors.length];
+            ctx.globalAlpha = 0.6 + 0.4 * Math.sin(t * 0.004 + b);
+            ctx.beginPath(); ctx.arc(x, y, 4, 0, TAU); ctx.fill();
+          }
+        }
+        ctx.globalAlpha = 1;
+      } }
+    ],
+    props: (t, width) => {
+      for (let x = 240; x < width; x += 600) drawTent(x, GROUND_Y, ['#ff6b6b', '#73a7ff', '#c77dff'][Math.floor(x / 600) % 3]);
+      for (let x = 540; x < width; x += 600) drawLamp(x, GROUND_Y);
+    },
+    // Fučík (Entrance of the Gladiators)
+    music: [{ base: 392.00, seq: [7,6,7,6, 7,4,5,4, 3,2,1,0, -1,0,1,2, 3,4,5,6, 7,9,7,4] }]
+  });
+
+  // The player's pick ('auto' or an arena id) wins over the waves'; daily runs always go by the waves
+  function arenaFor(pick, index) {
+    if (pick === CLASSIC_ARENA) return { ...ARENAS.get('park'), width: WIDTH, flat: true };
+    if (pick !== 'auto' && ARENAS.has(pick)) return ARENAS.get(pick);
+    return ARENAS.get(waveArena(state.roster, index)) || ARENAS.get('park');
+  }
+  // The arena of the latest wave (at or before this one in the list) that names one
+  function waveArena(data, index) {
+    const waves = data.waves;
+    for (let i = index % waves.length; i >= 0; i--) if (waves[i].arena) return waves[i].arena;
+    return 'park';
+  }
+  function enterArena(arena) {
+    const changed = state.arena && state.arena.id !== arena.id;
+    state.arena = arena;
+    state.stageW = arena.width;
+    state.stage = buildStage(arena.flat ? [] : state.roster.stages?.[arena.id] || [], arena.width);
+    // Nobody starts the wave inside a wall or over a pit
+    for (const p of state.players) p.x = clearSpot(p.x, p.w);
+    if (changed && AudioEngine.isPlaying()) AudioEngine.playMusic(arena.music);
+  }
+
+  // Stage geometry: the roster's "stages" lay out platforms, walls, bouncy blocks and pits per arena.
+  // Solids (walls, blocks and the ground between pits) stop bodies from every side; platforms only catch them
+  // from above. Without any, the stage is the plain ground it always was.
+  const STAGE_ITEMS = ['platform', 'wall', 'bouncy', 'pit'];
+  const PIT_DAMAGE = 15;
+  function buildStage(items, width) {
+    const blocks = []; const platforms = []; const pits = [];
+    for (const it of items) {
+      if (it.type === 'platform') platforms.push({ x: it.x, y: GROUND_Y - it.height, w: it.w });
+      else if (it.type === 'wall') blocks.push({ x: it.x, y: GROUND_Y - it.h, w: it.w, h: it.h });
+      else if (it.type === 'bouncy') blocks.push({ x: it.x, y: GROUND_Y - (it.height ?? 0) - it.h, w: it.w, h: it.h, bounce: it.bounce });
+      else pits.push({ x: it.x, w: it.w });
+    }
+    // The ground runs a screen past both stage ends so stray shots still land on something
+    const ground = [];
+    let x = -WIDTH;
+    for (const pit of [...pits].sort((a, b) => a.x - b.x)) {
+      if (pit.x > x) ground.push({ x, y: GROUND_Y, w: pit.x - x, h: HEIGHT });
+      x = Math.max(x, pit.x + pit.w);
+    }
+    ground.push({ x, y: GROUND_Y, w: width + WIDTH - x, h: HEIGHT });
+    return { solids: [...ground, ...blocks], blocks, platforms, pits };
+  }
+  const overlapsX = (a, b) => a.x + a.w > b.x && a.x < b.x + b.w;
+  const overlapsY = (a, b) => a.y + a.h > b.y && a.y < b.y + b.h;
+  // Move a body one step, one axis at a time, and push it back out of whatever it ran into.
+  // Returns { floor, wall, ceiling }: the solid or platform it hit that way, or null. Velocities are left to the caller.
+  // With `touch`, coming to rest exactly on a surface counts as landing on it (fighters always have).
+  function moveBody(body, dt, touch = false) {
+    const { solids, platforms } = state.stage;
+    const hit = { floor: null, wall: null, ceiling: null };
+    const oldX = body.x;
+    body.x += body.vx * dt;
+    for (const s of solids) {
+      if (!overlapsX(body, s) || !overlapsY(body, s)) continue;
+      const fromLeft = oldX + body.w <= s.x ? true : oldX >= s.x + s.w ? false : body.x + body.w / 2 < s.x + s.w / 2;
+      body.x = fromLeft ? s.x - body.w : s.x + s.w;
+      hit.wall = s;
+    }
+    const oldY = body.y;
+    body.y += body.vy * dt;
+    const lands = top => body.y + body.h > top || (touch && body.vy >= 0 && body.y + body.h === top);
+    for (const s of solids) {
+      if (!overlapsX(body, s) || !(lands(s.y) && body.y < s.y + s.h)) continue;
+      if (body.vy < 0 && oldY >= s.y + s.h) {
+        body.y = s.y + s.h;
+        hit.ceiling = s;
+      } else {
+        body.y = s.y - body.h;
+        hit.floor = s;
+      }
+    }
+    if (body.vy >= 0) {
+      for (const p of platforms) {
+        if (oldY + body.h <= p.y && lands(p.y) && overlapsX(body, p)) {
+          body.y = p.y - body.h;
+          hit.floor = p;
+        }
+      }
+    }
+    return hit;
+  }
+  const pitAt = x => state.stage.pits.some(p => x >= p.x && x <= p.x + p.w);
+  // Top of the highest surface under a body (HEIGHT over a pit)
+  const floorBelow = body => Math.min(HEIGHT, ...[...state.stage.solids, ...state.stage.platforms].filter(s => s.y >= body.y + body.h && overlapsX(body, s)).map(s => s.y));
+  // Is there something to stand on right under this body?
+  const standingOn = body => [...state.stage.solids, ...state.stage.platforms].some(s => s.y === body.y + body.h && overlapsX(body, s));
+  // The nearest x where a body of width w stands on open ground: off the pits and out of the blocks
+  function clearSpot(x, w) {
+    const { blocks, pits } = state.stage;
+    for (let tries = 0; tries < 4; tries++) {
+      const hit = [...blocks, ...pits].find(o => x + w > o.x && x < o.x + o.w);
+      if (!hit) break;
+      const left = hit.x - w - 4; const right = hit.x + hit.w + 4;
+      x = (x + w / 2 < hit.x + hit.w / 2 && left >= 0) || right > state.stageW - w ? left : right;
+    }
+    return clamp(x, 0, state.stageW - w);
+  }
+
+  // Follow camera: looks at the middle of the standing Fers (and the plush player two drives in versus), eased,
+  // and never past the stage ends. Only drawing uses it; the simulation just keeps those fighters within one
+  // screen of each other (leashFocus).
+  function cameraFocus() {
+    const standing = state.players.filter(p => !p.down);
+    return [...(standing.length ? standing : state.players), ...(state.match ? state.enemies.filter(e => e.controlled) : [])];
+  }
+  function cameraTarget() {
+    const focus = cameraFocus();
+    const left = Math.min(...focus.map(f => f.x));
+    const right = Math.max(...focus.map(f => f.x + f.w));
+    return clamp((left + right) / 2 - WIDTH / 2, 0, state.stageW - WIDTH);
+  }
+  function updateCamera(frameMs, snap = false) {
+    const target = cameraTarget();
+    camera.x = snap ? target : lerp(camera.x, target, clamp(frameMs / 160, 0, 1));
+  }
+  function leashFocus() {
+    const focus = cameraFocus().filter(f => !f.down);
+    if (focus.length < 2) return;
+    for (const f of focus) {
+      const others = focus.filter(o => o !== f);
+      const min = Math.max(...others.map(o => o.x + o.w)) - WIDTH;
+      const max = Math.min(...others.map(o => o.x)) + WIDTH - f.w;
+      if (f.x < min || f.x > max) {
+        f.x = clamp(f.x, min, max);
+        f.vx = 0;
+      }
+    }
+  }
+  // Screen-wide stretch of stage centred on x, as far as the stage allows
+  const viewLeft = x => clamp(x - WIDTH / 2, 0, state.stageW - WIDTH);
+
+  function drawBackground(t) {
+    const arena = state.arena;
+    const sky = ctx.createLinearGradient(0, 0, 0, GROUND_Y);
+    arena.sky.forEach((c, i) => sky.addColorStop(i / (arena.sky.length - 1), c));
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, WIDTH, GROUND_Y);
+    for (const layer of arena.layers) layer.draw(t, camera.x * layer.parallax);
+    const grd = ctx.createLinearGradient(0, GROUND_Y, 0, HEIGHT);
+    grd.addColorStop(0, arena.ground[0]);
+    grd.addColorStop(1, arena.ground[1]);
+    ctx.fillStyle = grd;
+    ctx.fillRect(0, GROUND_Y, WIDTH, HEIGHT - GROUND_Y);
+    ctx.fillStyle = 'rgba(255,255,255,0.2)';
+    ctx.fillRect(0, GROUND_Y, WIDTH, 2);
+  }
+  // World space, behind the fighters: props, and the stage ends fading out
+  function drawStage(t) {
+    const arena = state.arena;
+    arena.props(t, state.stageW);
+    // Geometry: pits cut through the ground, walls in the arena's ground colour, platforms as planks
+    const { blocks, platforms, pits } = state.stage;
+    for (const p of pits) {
+      const hole = ctx.createLinearGradient(0, GROUND_Y, 0, HEIGHT);
+      hole.addColorStop(0, '#2b2d42');
+      hole.addColorStop(1, '#0b0c10');
+      ctx.fillStyle = hole;
+      ctx.fillRect(p.x, GROUND_Y, p.w, HEIGHT - GROUND_Y);
+    }
+    for (const b of blocks) {
+      if (b.bounce) { drawBouncyBlock(b.x, b.y, b.w, b.h); continue; }
+      roundedRect(b.x, b.y, b.w, b.h, 6, arena.ground[1], true);
+      ctx.fillStyle = 'rgba(255,255,255,0.35)';
+      ctx.fillRect(b.x + 4, b.y + 3, b.w - 8, 4);
+      ctx.fillStyle = 'rgba(0,0,0,0.15)';
+      ctx.fillRect(b.x + 4, b.y + b.h - 8, b.w - 8, 4);
+    }
+    for (const p of platforms) {
+      ctx.fillStyle = 'rgba(0,0,0,0.2)';
+      ctx.fillRect(p.x + 10, p.y + 10, 6, 10);
+      ctx.fillRect(p.x + p.w - 16, p.y + 10, 6, 10);
+      roundedRect(p.x, p.y, p.w, 12, 4, '#a47148', true);
+      ctx.fillStyle = 'rgba(255,255,255,0.3)';
+      ctx.fillRect(p.x + 3, p.y + 2, p.w - 6, 3);
+    }
+    for (const [x, dir] of [[0, 1], [state.stageW, -1]]) {
+      const edge = ctx.createLinearGradient(x, 0, x + dir * 24, 0);
+      edge.addColorStop(0, 'rgba(0,0,0,0.35)');
+      edge.addColorStop(1, 'rgba(0,0,0,0)');
+      ctx.fillStyle = edge;
+      ctx.fillRect(Math.min(x, x + dir * 24), 0, 24, HEIGHT);
+    }
+  }
+  // Debug overlay (backquote, or ?debug in the URL), for tuning hits: stage surfaces, every fighter's rect,
+  // hurtboxes, velocity and state, hitboxes that are out or just landed, and projectile boxes and blast radii
+  const debugHits = []; // { box, at }: landed hitboxes, shown for a moment
+  function drawDebug() {
+    const outline = (r, color) => { ctx.strokeStyle = color; ctx.strokeRect(r.x, r.y, r.w, r.h); };
+    const circle = (b, color) => { ctx.strokeStyle = color; ctx.beginPath(); ctx.arc(b.cx, b.cy, b.r, 0, TAU); ctx.stroke(); };
+    const drawBox = (b, color) => (b.r !== undefined ? circle(b, color) : outline(b, color));
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '8px "Press Start 2P", monospace';
+    ctx.textAlign = 'center';
+    for (const s of state.stage.solids) outline({ ...s, h: Math.min(s.h, HEIGHT - s.y) }, 'rgba(115,167,255,0.7)');
+    for (const p of state.stage.platforms) outline({ ...p, h: 4 }, 'rgba(115,167,255,0.7)');
+    for (const f of [...state.players, ...state.enemies]) {
+      outline(f, 'rgba(255,255,255,0.35)');
+      if (!state.classicHurtboxes) for (const hb of hurtboxes(f)) outline(hb, '#5dd39e');
+      for (const live of f.strikes) drawBox(placeBox(f, live.attack.box), '#ff4d4d');
+      const cx = f.x + f.w / 2; const cy = f.y + f.h / 2;
+      ctx.strokeStyle = '#ffd166';
+      ctx.beginPath();
+      ctx.moveTo(cx, cy);
+      ctx.lineTo(cx + f.vx * 6, cy + f.vy * 6);
+      ctx.stroke();
+      ctx.fillStyle = '#ffffff';
+      debugLines(f).forEach((text, i) => ctx.fillText(text, cx, f.y - 40 - i * 10));
+    }
+    for (const p of projectiles) {
+      drawBox(p.rect, PROJECTILE_TYPES[p.type].hostile && !p.reflected ? '#ff8fab' : '#8affc1');
+      if (p.type === 'bomb') circle(placeBox(p, { r: p.radius }), 'rgba(255,209,102,0.6)');
+    }
+    for (const item of pickups) outline(item, '#ffd166');
+    const t = now();
+    while (debugHits.length && t - debugHits[0].at > 250) debugHits.shift();
+    for (const hit of debugHits) drawBox(hit.box, '#ff0000');
+    ctx.restore();
+  }
+  // What a fighter is up to, bottom line first
+  function debugLines(f) {
+    const ms = v => `${Math.max(0, Math.round(v))}ms`;
+    const lines = [`${Math.round(f.health)}hp ${f.onGround ? 'ground' : 'air'} ${f.anim.name}${f.invMs > 0 ? ` inv ${ms(f.invMs)}` : ''}${f.stunMs > 0 ? ` stun ${ms(f.stunMs)}` : ''}`];
+    if (f instanceof Player) {
+      if (f.melee) lines.push(`${HUG_COMBO[f.melee.index].name} ${ms(f.melee.ms)}${f.melee.chain ? ' +chain' : ''}`);
+      if (f.airDash) lines.push(`air dash ${ms(f.airDash.ms)}`);
+      if (f.blocking) lines.push(f.parrying() ? 'parry' : 'block');
+      if (f.charge !== null) lines.push(`charge ${Math.round(f.charge / FLOWER_CHARGE_MS * 100)}%`);
+    } else {
+      if (f.target) lines.push(`target ${f.target.name}${state.classicAi || f.controlled ? '' : ` · ${f.mind.state}${f.mind.stateMs > 0 ? ` ${ms(f.mind.stateMs)}` : ''}`}`);
+      if (f.windup) lines.push(`windup ${f.windup.spec.type} ${ms(f.attackWindupMs)}`);
+      const busy = [f.leap && 'leap', f.dash && 'dash', f.barrage && 'barrage', f.hopMs > 0 && 'hop'].filter(Boolean);
+      if (busy.length) lines.push(busy.join(' '));
+      lines.push(f.attacks.map(a => `${a.spec.type} ${a.cooldownMs > 0 ? `${(a.cooldownMs / 1000).toFixed(1)}s` : 'ok'}`).join(' '));
+    }
+    return lines;
+  }
+  // Arrows at the screen edge for plushes off camera
+  function drawOffscreenMarkers() {
+    for (const e of state.enemies) {
+      const sx = e.x - camera.x;
+      if (sx + e.w > 0 && sx < WIDTH) continue;
+      const left = sx < 0;
+      const x = left ? 10 : WIDTH - 10;
+      const y = clamp(e.y + e.h / 2, 80, GROUND_Y - 10);
+      ctx.fillStyle = e.colorPrimary;
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(x + (left ? 14 : -14), y - 10);
+      ctx.lineTo(x + (left ? 14 : -14), y + 10);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+    }
   }
-  for (let i = 0; i < 5; i++) {
-    const bx = (i * 180 + (t * 0.05)) % (WIDTH + 100) - 50;
-    const by = 140 + Math.sin((t * 0.003) + i) * 20;
-    drawBalloon(bx, by);
-  }
-  const grd = ctx.createLinearGradient(0, GROUND_Y, 0, HEIGHT);
-  grd.addColorStop(0, '#b7f7a8');
-  grd.addColorStop(1, '#88e07f');
-  ctx.fillStyle = grd;
-  ctx.fillRect(0, GROUND_Y, WIDTH, HEIGHT - GROUND_Y);
-  ctx.fillStyle = 'rgba(255,255,255,0.2)';
-  ctx.fillRect(0, GROUND_Y, WIDTH, 2);
-}
 
 function drawCloud(x, y, w) {
   ctx.fillStyle = '#ffffff';
@@ -805,33 +4223,298 @@ function drawBalloon(x, y) {
   roundedRect(x, y, 18, 24, 9, c, true);
 }
 
-  function drawUI(player, enemy) {
+// Arena props (x is the prop's centre, y the ground line)
+function drawTree(x, y) {
+  ctx.fillStyle = '#8d5a3b';
+  ctx.fillRect(x - 8, y - 90, 16, 90);
+  ctx.fillStyle = '#5dd39e';
+  ctx.beginPath();
+  ctx.arc(x, y - 110, 46, 0, TAU);
+  ctx.arc(x - 34, y - 88, 30, 0, TAU);
+  ctx.arc(x + 34, y - 88, 30, 0, TAU);
+  ctx.fill();
+}
+
+function drawBench(x, y) {
+  ctx.fillStyle = '#a47148';
+  ctx.fillRect(x - 40, y - 26, 80, 6);
+  ctx.fillRect(x - 40, y - 44, 80, 6);
+  ctx.fillStyle = '#6d4c41';
+  ctx.fillRect(x - 34, y - 20, 5, 20);
+  ctx.fillRect(x + 29, y - 20, 5, 20);
+}
+
+function drawPalm(x, y, t) {
+  ctx.fillStyle = '#a47148';
+  for (let i = 0; i < 8; i++) ctx.fillRect(x - 6 + i * 2, y - 20 - i * 20, 12, 22);
+  ctx.strokeStyle = '#2d9a5a';
+  ctx.lineWidth = 8;
+  const sway = Math.sin(t * 0.001 + x) * 0.08;
+  for (let i = 0; i < 5; i++) {
+    const a = -Math.PI + (i / 4) * Math.PI + sway;
+    ctx.beginPath();
+    ctx.moveTo(x + 14, y - 170);
+    ctx.quadraticCurveTo(x + 14 + Math.cos(a) * 40, y - 200 + Math.sin(a) * 20, x + 14 + Math.cos(a) * 70, y - 160 + Math.sin(a) * 10);
+    ctx.stroke();
+  }
+}
+
+function drawUmbrella(x, y, color) {
+  ctx.fillStyle = '#eaeaea';
+  ctx.fillRect(x - 2, y - 110, 4, 110);
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(x, y - 104, 60, Math.PI, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = 'rgba(255,255,255,0.6)';
+  ctx.beginPath();
+  ctx.moveTo(x, y - 164); ctx.lineTo(x - 20, y - 104); ctx.lineTo(x + 20, y - 104);
+  ctx.fill();
+}
+
+function drawSandcastle(x, y) {
+  ctx.fillStyle = '#e9c46a';
+  ctx.fillRect(x - 36, y - 30, 72, 30);
+  ctx.fillRect(x - 44, y - 50, 20, 50);
+  ctx.fillRect(x + 24, y - 50, 20, 50);
+  ctx.fillRect(x - 12, y - 56, 24, 26);
+  ctx.fillStyle = '#ff6b6b';
+  ctx.fillRect(x - 1, y - 76, 2, 20);
+  ctx.fillRect(x + 1, y - 76, 12, 8);
+}
+
+function drawSailboat(x, y) {
+  ctx.fillStyle = '#ffffff';
+  ctx.beginPath();
+  ctx.moveTo(x + 30, y - 50); ctx.lineTo(x + 30, y - 6); ctx.lineTo(x + 6, y - 6);
+  ctx.fill();
+  ctx.fillStyle = '#ff8fab';
+  ctx.fillRect(x, y - 6, 50, 8);
+}
+
+function drawBlockStack(x, y) {
+  const colors = ['#ff6b6b', '#73a7ff', '#ffd166', '#8affc1', '#c77dff'];
+  const rows = [[-60, -20, 20], [-40, 0], [-20]];
+  rows.forEach((row, r) => row.forEach((dx, i) => {
+    roundedRect(x + dx, y - 40 * (r + 1), 40, 40, 4, colors[(r * 2 + i) % colors.length], true);
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    ctx.font = '18px "Press Start 2P", monospace';
+    ctx.fillText('ABC'[(r + i) % 3], x + dx + 11, y - 40 * r - 11);
+  }));
+}
+
+function drawBouncyBlock(x, y, w, h) {
+  roundedRect(x, y, w, h, 8, '#ff8fab', true);
+  ctx.fillStyle = '#ffd166';
+  for (let sx = x + 6; sx < x + w - 6; sx += 16) ctx.fillRect(sx, y + 8, 8, h - 16);
+  // Springy top
+  ctx.strokeStyle = '#ffffff';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  for (let sx = x + 4, i = 0; sx <= x + w - 4; sx += 8, i++) ctx.lineTo(sx, y + (i % 2 ? 6 : 2));
+  ctx.stroke();
+}
+
+function drawFerrisWheel(cx, cy, r, t) {
+  ctx.strokeStyle = '#5c677d';
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.moveTo(cx - 60, GROUND_Y); ctx.lineTo(cx, cy); ctx.lineTo(cx + 60, GROUND_Y);
+  ctx.stroke();
+  ctx.strokeStyle = '#ffd166';
+  ctx.lineWidth = 3;
+  ctx.beginPath(); ctx.arc(cx, cy, r, 0, TAU); ctx.stroke();
+  const spin = t * 0.0003;
+  for (let i = 0; i < 10; i++) {
+    const a = spin + (i / 10) * TAU;
+    const gx = cx + Math.cos(a) * r; const gy = cy + Math.sin(a) * r;
+    ctx.strokeStyle = 'rgba(255,209,102,0.5)';
+    ctx.beginPath(); ctx.moveTo(cx, cy); ctx.lineTo(gx, gy); ctx.stroke();
+    ctx.fillStyle = ['#ff6b6b', '#73a7ff', '#8affc1', '#c77dff'][i % 4];
+    ctx.fillRect(gx - 8, gy, 16, 12);
+  }
+}
+
+function drawTent(x, y, color) {
+  for (let i = 0; i < 6; i++) {
+    ctx.fillStyle = i % 2 ? '#ffffff' : color;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 150);
+    ctx.lineTo(x - 90 + i * 30, y);
+    ctx.lineTo(x - 60 + i * 30, y);
+    ctx.fill();
+  }
+  ctx.fillStyle = '#1b1b2f';
+  ctx.beginPath();
+  ctx.moveTo(x - 18, y); ctx.lineTo(x, y - 50); ctx.lineTo(x + 18, y);
+  ctx.fill();
+  ctx.fillStyle = '#ffd166';
+  ctx.fillRect(x - 1, y - 170, 2, 20);
+}
+
+function drawLamp(x, y) {
+  ctx.fillStyle = 'rgba(255,230,150,0.18)';
+  ctx.beginPath(); ctx.arc(x, y - 140, 60, 0, TAU); ctx.fill();
+  ctx.fillStyle = '#3a3a4a';
+  ctx.fillRect(x - 3, y - 140, 6, 140);
+  ctx.fillStyle = '#fff1a8';
+  ctx.beginPath(); ctx.arc(x, y - 144, 10, 0, TAU); ctx.fill();
+}
+
+  function drawUI(players, enemies) {
     // Health bars
     const barWidth = 360;
     const barHeight = 16;
     const pad = 16;
-    // Fer
-    drawHealthBar(pad, pad, barWidth, barHeight, player.health / player.maxHealth, '#ff4d8d', 'Fer' + (state.unlocks.horse ? ' +🐴' : '') + (state.unlocks.jetpack ? ' +🚀' : ''));
-    // Enemy
-    drawHealthBar(WIDTH - barWidth - pad, pad, barWidth, barHeight, enemy.health / enemy.maxHealth, '#73a7ff', enemy.name, true);
+    // Fer (and co-op partner stacked underneath)
+    // (rows leave room for perk icons under the bar)
+    const owned = state.match ? [] : unlockedPerks();
+    players.forEach((player, i) => {
+      const y = pad + i * 40;
+      drawHealthBar(pad, y, barWidth, barHeight, player.health / player.maxHealth, player.barColor, player.name + (player.down ? ' — DOWN' : ''));
+      owned.forEach((def, j) => drawPerkIcon(player, def, pad + barWidth - (owned.length - j) * 24, y + 20));
+      Object.keys(player.buffs).forEach((type, j) => drawBuffTimer(player, type, pad + j * 56, y + 20));
+    });
+    // Enemies, stacked the same way; bosses get the big bar instead
+    enemies.filter(e => !(e instanceof Boss)).forEach((enemy, i) => {
+      drawHealthBar(WIDTH - barWidth - pad, pad + i * 34, barWidth, barHeight, enemy.health / enemy.maxHealth, '#73a7ff', enemy.name, true);
+    });
+    const boss = enemies.find(e => e instanceof Boss);
+    if (boss) drawBossBar(boss);
 
     // Eggs label shadow to match top bar
     ctx.font = '12px "Press Start 2P", monospace';
     ctx.fillStyle = 'rgba(0,0,0,0.3)';
-    ctx.fillText('Kiss: Z/J  Flower: X/K  Bomb: C/L  Perk: Q  Jump: ↑/W/Space  Pause: P', pad + 1, HEIGHT - 18 + 1);
+    const hint = Input.hintText(playerCountFor(state.mode), state.mode);
+    ctx.fillText(hint, pad + 1, HEIGHT - 18 + 1);
     ctx.fillStyle = '#eaeaea';
-    ctx.fillText('Kiss: Z/J  Flower: X/K  Bomb: C/L  Perk: Q  Jump: ↑/W/Space  Pause: P', pad, HEIGHT - 18);
+    ctx.fillText(hint, pad, HEIGHT - 18);
 
-    // Level indicator
+    // Level indicator (round + clock in versus)
     ctx.fillStyle = '#ffd166';
-    ctx.fillText(`Level ${state.waveIndex + 1}`, WIDTH / 2 - 60, pad + 12);
+    if (state.match) {
+      const m = state.match;
+      const secs = Math.max(0, Math.ceil(m.roundMs / 1000));
+      ctx.textAlign = 'center';
+      ctx.fillText(`Round ${m.round}`, WIDTH / 2, pad + 12);
+      ctx.fillStyle = secs <= 10 ? '#ff6b6b' : '#eaeaea';
+      ctx.fillText(`${secs}`, WIDTH / 2, pad + 30);
+      const pip = (x, on) => { ctx.fillStyle = on ? '#ffd166' : 'rgba(255,255,255,0.25)'; ctx.fillRect(x, pad + 38, 10, 10); };
+      for (let i = 0; i < ROUNDS_TO_WIN; i++) { pip(WIDTH / 2 - 30 - i * 14, m.wins[0] > i); pip(WIDTH / 2 + 20 + i * 14, m.wins[1] > i); }
+      ctx.textAlign = 'left';
+    } else if (state.survival) {
+      // Survival: the clock is the score; bombs run out
+      ctx.fillText('Survival', WIDTH / 2 - 60, pad + 12);
+      ctx.fillStyle = '#eaeaea';
+      ctx.fillText(`Time ${formatTicks(currentWaveStats().ticks)}`, WIDTH / 2 - 60, pad + 30);
+      ctx.fillText(`Bombs ${players.map(p => p.bombs).join(' / ')}`, WIDTH / 2 - 60, pad + 48);
+    } else {
+      ctx.fillText(`Level ${state.waveIndex + 1}`, WIDTH / 2 - 60, pad + 12);
+      ctx.fillStyle = '#eaeaea';
+      ctx.fillText(`Score ${runScore(state.run)}`, WIDTH / 2 - 60, pad + 30);
+      // Live combo, warming up in colour as the multiplier climbs
+      const combo = state.run.combo;
+      if (combo >= 2) {
+        ctx.fillStyle = combo >= 10 ? '#ff8fab' : combo >= 5 ? '#ffd166' : '#ffffff';
+        ctx.fillText(`Combo x${combo} (${comboMult(combo).toFixed(1)}×)`, WIDTH / 2 - 60, pad + 48);
+      }
+      // Daily Fluff modifiers in play
+      const mods = dailyModifierList(state.modifiers);
+      if (mods.length) {
+        ctx.fillStyle = '#ffd166';
+        ctx.fillText(`Daily ${mods.map(m => m.icon).join(' ')}`, WIDTH / 2 - 60, pad + 66);
+      }
+    }
+    if (state.replay) {
+      ctx.fillStyle = '#ff6b6b';
+      ctx.fillText(`REPLAY ${state.replay.speed}x`, WIDTH / 2 - 60, pad + 84);
+    }
+
+  }
 
-    // Unlock hint
-    if (state.unlocks.horse || state.unlocks.jetpack) {
-      ctx.fillStyle = '#8affc1';
-      const perks = [state.unlocks.horse ? 'Horse' : null, state.unlocks.jetpack ? 'Jetpack' : null].filter(Boolean).join(' + ');
-      ctx.fillText(`Perk: ${perks}`, WIDTH / 2 - 60, pad + 28);
+  function drawScorePopups() {
+    ctx.font = '10px "Press Start 2P", monospace';
+    ctx.textAlign = 'center';
+    for (const p of scorePopups) {
+      ctx.globalAlpha = clamp(p.life / 400, 0, 1);
+      ctx.fillStyle = 'rgba(0,0,0,0.5)';
+      ctx.fillText(p.text, p.x + 1, p.y + 1);
+      ctx.fillStyle = p.color;
+      ctx.fillText(p.text, p.x, p.y);
     }
+    ctx.globalAlpha = 1;
+    ctx.textAlign = 'left';
+  }
+
+  // Interlude card: what the wave just cleared was worth
+  function drawWaveBreakdown(w) {
+    const bonus = clearBonuses(w);
+    const lines = [
+      [`Wave ${w.wave + 1} clear`, bonus.clear],
+      [bonus.noDamage ? 'No damage taken!' : 'No-damage bonus', bonus.noDamage],
+      [`Time ${(w.ticks * STEP_MS / 1000).toFixed(1)}s`, bonus.time],
+      [`Hits ${w.hits} · best combo x${w.bestCombo}`, w.comboPoints],
+      ['Bomb multi-hits', w.bombPoints],
+      [`Perfect dodges ${w.dodges}`, w.dodges * SCORING.dodge]
+    ];
+    const bw = 420, lh = 22;
+    const bh = (lines.length + 2) * lh + 16;
+    const x = (WIDTH - bw) / 2, y = (HEIGHT - bh) / 2 - 40;
+    roundedRect(x, y, bw, bh, 10, 'rgba(20,16,40,0.85)', true);
+    ctx.font = '12px "Press Start 2P", monospace';
+    const row = (label, value, ry, color) => {
+      ctx.fillStyle = color;
+      ctx.textAlign = 'left';
+      ctx.fillText(label, x + 18, ry);
+      ctx.textAlign = 'right';
+      ctx.fillText(value, x + bw - 18, ry);
+    };
+    lines.forEach(([label, points], i) => row(label, `+${points}`, y + 28 + i * lh, points ? '#eaeaea' : 'rgba(234,234,234,0.4)'));
+    row('Wave total', `${wavePoints(w, true)}`, y + 28 + (lines.length + 0.5) * lh, '#ffd166');
+    ctx.textAlign = 'left';
+  }
+
+  // Perk slot: icon, outlined when selected, green while active, shaded while recharging, meter (duration/fuel) along the bottom
+  function drawPerkIcon(player, def, x, y) {
+    const perk = perkState(player, def);
+    const size = 20;
+    roundedRect(x, y, size, size, 4, perk.active ? 'rgba(138,255,193,0.45)' : 'rgba(0,0,0,0.45)', true);
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(def.icon, x + size / 2, y + 15);
+    ctx.textAlign = 'left';
+    if (perk.cooldownMs > 0) {
+      ctx.fillStyle = 'rgba(0,0,0,0.6)';
+      ctx.fillRect(x, y, size, size * clamp(perk.cooldownMs / def.cooldownMs, 0, 1));
+    }
+    const max = def.durationMs ?? def.fuelMs;
+    if (max) {
+      ctx.fillStyle = def.fuelMs ? '#ffb347' : '#8affc1';
+      ctx.fillRect(x, y + size - 2, size * clamp(perk.meterMs / max, 0, 1), 2);
+    }
+    if (player.selectedPerk === def.id) {
+      ctx.strokeStyle = '#ffd166';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x - 1, y - 1, size + 2, size + 2);
+    }
+  }
+
+  // Pickup buff: icon, seconds left and a draining meter
+  function drawBuffTimer(player, type, x, y) {
+    const kind = PICKUP_TYPES[type];
+    const left = player.buffs[type];
+    const size = 20;
+    roundedRect(x, y, 52, size, 4, 'rgba(0,0,0,0.45)', true);
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(kind.icon, x + size / 2, y + 15);
+    ctx.font = '10px "Press Start 2P", monospace';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${Math.ceil(left / 1000)}`, x + size + 4, y + 14);
+    ctx.fillStyle = kind.color;
+    ctx.fillRect(x, y + size - 2, 52 * clamp(left / kind.buffMs, 0, 1), 2);
   }
 
   function drawDucks(ts) {
@@ -878,6 +4561,31 @@ function drawBalloon(x, y) {
     }
   }
 
+  // Boss bar: wide, along the bottom, with a notch at each phase threshold (dimmed once reached)
+  function drawBossBar(boss) {
+    const w = 600; const h = 18;
+    const x = (WIDTH - w) / 2; const y = HEIGHT - 66;
+    roundedRect(x - 4, y - 22, w + 8, h + 28, 8, 'rgba(0,0,0,0.45)', true);
+    ctx.fillStyle = 'rgba(255,255,255,0.12)';
+    ctx.fillRect(x, y, w, h);
+    const grad = ctx.createLinearGradient(x, y, x + w, y);
+    grad.addColorStop(0, '#ff6b6b');
+    grad.addColorStop(1, boss.colorPrimary);
+    ctx.fillStyle = grad;
+    ctx.fillRect(x, y, clamp(boss.health / boss.maxHealth, 0, 1) * w, h);
+    boss.phases.forEach((phase, i) => {
+      ctx.fillStyle = i < boss.phase ? 'rgba(255,255,255,0.3)' : '#ffffff';
+      ctx.fillRect(x + phase.at * w - 1, y - 3, 3, h + 6);
+    });
+    ctx.font = '12px "Press Start 2P", monospace';
+    ctx.fillStyle = '#ffd166';
+    ctx.fillText(`👑 ${boss.name}`, x, y - 7);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#eaeaea';
+    ctx.fillText(`Phase ${boss.phase + 1}/${boss.phases.length + 1}`, x + w, y - 7);
+    ctx.textAlign = 'left';
+  }
+
   function drawScanlines() {
     ctx.save();
     ctx.globalAlpha = 0.08;
@@ -886,33 +4594,52 @@ function drawBalloon(x, y) {
     ctx.restore();
   }
 
-  // Main loop
+  // Main loop: fixed-step simulation, rendering interpolates between the last two steps
   function loop(ts) {
     if (!state.running) return;
     if (!state.lastTs) state.lastTs = ts;
-    const dt = Math.min(2, (ts - state.lastTs) / 16.67); // normalize to ~60fps steps
+    const frameMs = Math.min(250, ts - state.lastTs);
     state.lastTs = ts;
 
     // Update
     if (!state.paused) {
-      update(dt, ts);
+      const speed = state.replay ? state.replay.speed : 1;
+      const maxSteps = MAX_STEPS_PER_FRAME * Math.max(1, speed);
+      state.accumulatorMs += frameMs * speed;
+      let steps = 0;
+      while (state.running && state.accumulatorMs >= STEP_MS && steps < maxSteps) {
+        step();
+        state.accumulatorMs -= STEP_MS;
+        steps++;
+      }
+      // Don't try to catch up after a long stall (tab switch, debugger)
+      if (steps >= maxSteps) state.accumulatorMs = Math.min(state.accumulatorMs, STEP_MS);
     }
+    syncReplayBar();
+    const alpha = state.paused ? 1 : clamp(state.accumulatorMs / STEP_MS, 0, 1);
 
     // Draw with slight camera shake
     ctx.save();
     let ox = 0, oy = 0;
     if (camera.shakeMs > 0) {
-      camera.shakeMs -= dt * 16;
-      ox = rand(-camera.shakeMag, camera.shakeMag);
-      oy = rand(-camera.shakeMag, camera.shakeMag);
+      camera.shakeMs -= frameMs;
+      ox = rand(-camera.shakeMag, camera.shakeMag, Math.random);
+      oy = rand(-camera.shakeMag, camera.shakeMag, Math.random);
     }
     ctx.clearRect(0, 0, WIDTH, HEIGHT);
     ctx.translate(ox, oy);
+    updateCamera(frameMs);
     drawBackground(ts);
-    state.player.draw();
-    state.enemy.draw();
+    // The stage, scrolled by the camera
+    ctx.save();
+    ctx.translate(-Math.round(camera.x), 0);
+    drawStage(ts);
+    for (const p of state.players) drawInterpolated(p, alpha);
+    for (const e of fallen) drawInterpolated(e, alpha);
+    for (const e of state.enemies) drawInterpolated(e, alpha);
+    for (const p of pickups) drawInterpolated(p, alpha);
     // Projectiles
-    for (const p of projectiles) p.draw();
+    for (const p of projectiles) drawInterpolated(p, alpha);
     // Particles
     for (const p of particles) {
       ctx.fillStyle = p.color;
@@ -920,9 +4647,14 @@ function drawBalloon(x, y) {
       ctx.fillRect(p.x, p.y, p.size, p.size);
       ctx.globalAlpha = 1;
     }
-    drawUI(state.player, state.enemy);
+    drawScorePopups();
+    if (state.debug) drawDebug();
+    ctx.restore();
+    drawOffscreenMarkers();
+    drawUI(state.players, state.enemies);
     if (state.interludeMs > 0) {
       drawDucks(ts);
+      if (state.run && state.run.wavesCleared) drawWaveBreakdown(currentWaveStats());
     }
     drawScanlines();
     ctx.restore();
@@ -930,57 +4662,114 @@ function drawBalloon(x, y) {
     requestAnimationFrame(loop);
   }
 
-  function update(dt, ts) {
-    const player = state.player;
-    const enemy = state.enemy;
+  // One fixed simulation step
+  function step() {
+    const inputs = readTickInput();
+    if (!inputs) { finishReplay(); return; }
+    state.prevInputs = state.inputs;
+    state.inputs = inputs;
+    for (const p of state.players) p.savePrev();
+    for (const e of state.enemies) e.savePrev();
+    for (const e of fallen) e.savePrev();
+    for (const p of projectiles) p.savePrev();
+    for (const p of pickups) p.savePrev();
+    update(1);
+    state.tick++;
+  }
+
+  function update(dt) {
+    const players = state.players;
+    // Animation clocks keep running through interludes (a Fer cheers through the break)
+    for (const f of [...players, ...state.enemies, ...fallen]) f.animate(dt);
+    for (let i = fallen.length - 1; i >= 0; i--) if (fallen[i].anim.name === 'ko' && fallen[i].anim.ms >= KO_ANIM_MS) fallen.splice(i, 1);
+    if (state.classicPerks) toggleClassicPerks();
 
     if (state.interludeMs > 0) {
       // Freeze gameplay between levels
       projectiles.length = 0;
+      state.interludeMs -= dt * 16;
+      if (state.interludeMs <= 0) {
+        state.interludeMs = 0;
+        ducks.length = 0;
+        if (state.match) nextRound();
+        else nextWave();
+      }
       return;
     }
 
-    player.update(dt);
-    enemy.update(dt, player);
-
-    // Apply unlock abilities
-    if (state.unlocks.horse && state.unlocks._active) {
-      // Slight speed boost
-      player.vx *= 1.02;
-    }
-    if (state.unlocks.jetpack && state.unlocks._active && keysDown.has(' ')) {
-      // Hold jump to hover a bit
-      player.vy = Math.min(player.vy, 1.2);
-      if (!player.onGround) spawnBurst(player.x + player.w / 2, player.y + player.h, '#ffffff', 1, 1);
+    if (state.match) {
+      state.match.roundMs -= dt * 16;
+      if (state.match.roundMs <= 0) {
+        const fer = players[0]; const plush = state.enemies[0];
+        const diff = fer.health / fer.maxHealth - plush.health / plush.maxHealth;
+        endRound(diff > 0 ? 0 : diff < 0 ? 1 : -1, 'time');
+        return;
+      }
     }
 
+    if (state.run) currentWaveStats().ticks += dt;
+
+    // Perks are per player (versus keeps things fair: no perks)
+    if (state.mode !== 'versus' && !state.classicPerks) players.forEach((p, i) => { if (!p.down) updatePerks(p, state.inputs[i], state.prevInputs[i], dt); });
+    players.forEach((p, i) => p.update(dt, p.down ? NO_INPUT : state.inputs[i]));
+    if (state.survival) updateSurvival(dt);
+    else if (!state.match) updatePendingEnemies(dt);
+    for (const e of state.enemies) e.update(dt, players, state.inputs[1]);
+    for (const f of [...players, ...state.enemies]) if (f.y > HEIGHT) fallIntoPit(f);
+    separateEnemies(dt);
+    if (state.classicPerks) applyClassicPerks(players);
+    leashFocus();
+
     // Projectile updates and collisions
     for (const proj of projectiles) {
       proj.update(dt);
       // Collisions
-      if (proj.type === 'heart' || proj.type === 'flower') {
-        if (rectsOverlap(proj.rect, enemy.rect)) {
+      if (proj.type === 'heart' || proj.type === 'flower' || proj.reflected) {
+        const enemy = state.enemies.find(e => hitTest(proj.rect, e));
+        if (enemy) {
           proj.remove = true;
-          const killed = enemy.takeDamage(proj.damage);
-          enemy.vx += proj.facing * 2;
-          enemy.vy -= 2;
-          spawnBurst(proj.x + proj.w / 2, proj.y + proj.h / 2, '#ffd166', 12, 3);
-          if (killed) onWin();
+          strike(proj.rect, { damage: proj.damage, knockback: 2, bump: 2 }, proj, [enemy], null, (e, killed) => {
+            spawnBurst(proj.x + proj.w / 2, proj.y + proj.h / 2, '#ffd166', 12, 3);
+            if (killed) onEnemyDefeated(e);
+          });
         }
-      } else if (proj.type === 'cotton') {
-        if (rectsOverlap(proj.rect, player.rect)) {
+      } else if (PROJECTILE_TYPES[proj.type].hostile) {
+        const player = players.find(p => !p.down && hitTest(proj.rect, p));
+        if (player && player.guarding(proj) && (proj.type === 'cotton' || player.parrying())) {
+          reflectShot(proj, player);
+        } else if (player) {
           proj.remove = true;
-          const killed = player.takeDamage(proj.damage);
-          player.vx += proj.facing * 2.2;
-          player.vy -= 3.2;
-          spawnBurst(proj.x + proj.w / 2, proj.y + proj.h / 2, '#ffffff', 10, 2.5);
-          AudioEngine.playTone(180, 0.1, 'square', 0.4);
-          if (killed) onLose();
+          proj.hitFer = true;
+          strike(proj.rect, { damage: proj.damage, knockback: 2.2, bump: 3.2 }, proj, [player], null, (p, killed) => {
+            spawnBurst(proj.x + proj.w / 2, proj.y + proj.h / 2, '#ffffff', 10, 2.5);
+            AudioEngine.playTone(180, 0.1, 'square', 0.4);
+            if (killed) onPlayerDown(p);
+          });
+        } else if (proj.type === 'cotton' && !proj.grazed) {
+          proj.grazed = players.some(p => !p.down && rectsOverlap(proj.rect, grownRect(p.rect, SCORING.dodgeMargin)));
         }
       }
     }
-    // Remove dead projectiles
-    for (let i = projectiles.length - 1; i >= 0; i--) if (projectiles[i].remove) projectiles.splice(i, 1);
+    // Pickups: the first Fer to touch one gets it
+    for (const item of pickups) {
+      item.update(dt);
+      const player = players.find(p => !p.down && rectsOverlap(item.rect, p.rect));
+      if (!player) continue;
+      const kind = PICKUP_TYPES[item.type];
+      item.remove = true;
+      grantPickup(player, item);
+      scorePopup(item.x + item.w / 2, item.y - 10, kind.label, kind.color);
+      spawnBurst(item.x + item.w / 2, item.y + item.h / 2, kind.color, 10, 2.5);
+      AudioEngine.chord([659.25, 830.61, 987.77], 0.12, 'triangle', 0.6);
+    }
+    for (let i = pickups.length - 1; i >= 0; i--) if (pickups[i].remove) pickups.splice(i, 1);
+    // Remove dead projectiles (a puff that brushed past a Fer and never hit one was dodged)
+    for (let i = projectiles.length - 1; i >= 0; i--) {
+      const proj = projectiles[i];
+      if (!proj.remove) continue;
+      if (proj.grazed && !proj.hitFer) scoreDodge(proj);
+      projectiles.splice(i, 1);
+    }
 
     // Particles update
     for (const p of particles) {
@@ -990,26 +4779,42 @@ function drawBalloon(x, y) {
       p.life -= dt * 16;
     }
     for (let i = particles.length - 1; i >= 0; i--) if (particles[i].life <= 0) particles.splice(i, 1);
+    for (const p of scorePopups) {
+      p.y -= 0.6 * dt;
+      p.life -= dt * 16;
+    }
+    for (let i = scorePopups.length - 1; i >= 0; i--) if (scorePopups[i].life <= 0) scorePopups.splice(i, 1);
   }
 
   // Input
+  function togglePause() {
+    state.paused = !state.paused;
+    showToast(state.paused ? 'Paused' : 'Resumed', 600);
+    if (!state.paused) AudioEngine.ensureCtx();
+  }
+  // wave: start from this wave instead (Continue)
+  function startFromOverlay(wave = null) {
+    if (wave !== null) state.waveIndex = wave;
+    startGame(wave === null && startBtn.textContent === 'Retry');
+    if (exportReplayBtn) exportReplayBtn.style.display = 'none';
+    if (scoreEntry) scoreEntry.style.display = 'none';
+    if (scoreboardEl) scoreboardEl.style.display = 'none';
+  }
   window.addEventListener('keydown', (e) => {
     const key = e.key.toLowerCase();
+    if (rebinding) { e.preventDefault(); onRebindKey(key); return; }
+    if (e.target && e.target.tagName === 'INPUT') return; // typing a scoreboard name
     keysDown.add(key);
-    if (key === 'p') {
-      state.paused = !state.paused;
-      showToast(state.paused ? 'Paused' : 'Resumed', 600);
-      if (!state.paused) AudioEngine.ensureCtx();
-    }
-    if (key === 'q') {
-      state.unlocks._active = !state.unlocks._active;
-      showToast(state.unlocks._active ? 'Perks ON' : 'Perks OFF');
+    keysTapped.add(key);
+    Input.noteKeyboard();
+    if (Input.isPauseKey(key) && state.running) togglePause();
+    if (key === '`') {
+      state.debug = !state.debug;
+      showToast(`Debug overlay ${state.debug ? 'on' : 'off'}`, 600);
     }
     if (overlay.classList.contains('show') && (key === 'enter' || key === ' ')) {
       e.preventDefault();
-      startGame(startBtn.textContent === 'Retry');
-      if (scoreEntry) scoreEntry.style.display = 'none';
-      if (scoreboardEl) scoreboardEl.style.display = 'none';
+      startFromOverlay();
     }
   });
   window.addEventListener('keyup', (e) => {
@@ -1017,55 +4822,475 @@ function drawBalloon(x, y) {
   });
   window.addEventListener('blur', () => {
     state.paused = true;
+    for (const id of [...touchPointers.keys()]) setPointerButton(id, null);
   });
 
-  startBtn.addEventListener('click', () => {
-    startGame(startBtn.textContent === 'Retry');
-    if (scoreEntry) scoreEntry.style.display = 'none';
-    if (scoreboardEl) scoreboardEl.style.display = 'none';
+  // Gamepads have no events: poll Start for pause (or to start from the overlay)
+  function pollPadMenu() {
+    if (Input.pollPadPause() && !rebinding) {
+      if (overlay.classList.contains('show')) startFromOverlay();
+      else if (state.running) togglePause();
+    }
+    requestAnimationFrame(pollPadMenu);
+  }
+  requestAnimationFrame(pollPadMenu);
+
+  startBtn.addEventListener('click', () => startFromOverlay());
+  continueBtn.addEventListener('click', () => startFromOverlay(profile.progress[state.mode]));
+  function syncContinueBtn() {
+    const wave = state.mode in profile.progress ? profile.progress[state.mode] : 0;
+    continueBtn.style.display = wave > 0 ? '' : 'none';
+    continueBtn.textContent = `Continue from Wave ${wave + 1}`;
+  }
+
+  // Controls list + rebinding screen
+  let rebinding = null; // { action, device: 'keys' | 'pad', slot }
+  let bindingsPlayer = 0; // which player's bindings the panel is editing
+  function renderControlsList() {
+    if (!controlsListEl) return;
+    const coop = playerCountFor(state.mode) > 1;
+    const keys = (a, p) => Input.labelFor(a, 'keyboard', p).split('/').join(' / ');
+    const pad = (a, p) => Input.labelFor(a, 'pad', p);
+    const row = (label, k, pd) => `<div><span>${label}</span><span>${escapeHtml(k)} <span class="pad-label">🎮 ${escapeHtml(pd)}</span></span></div>`;
+    const rowsFor = p => [
+      [`Move`, `${keys('left', p)}  ${keys('right', p)}`, `${pad('left', p)} ${pad('right', p)} / stick`],
+      ['Jump', keys('jump', p), pad('jump', p)],
+      ['Kiss', keys('kiss', p), pad('kiss', p)],
+      ['Flower', keys('flower', p), pad('flower', p)],
+      ['Bomb', keys('bomb', p), pad('bomb', p)],
+      ['Use Perk', keys('perk', p), pad('perk', p)],
+      ['Next Perk', keys('perkNext', p), pad('perkNext', p)],
+      ['Pause', keys('pause', p), pad('pause', p)]
+    ];
+    if (!coop) {
+      controlsListEl.innerHTML = rowsFor(0).map(r => row(...r)).join('');
+      return;
+    }
+    const versus = state.mode === 'versus';
+    // In versus, player two's kiss/flower bindings swipe and puff as the plush
+    const plushLabels = { Kiss: 'Swipe', Flower: 'Puff' };
+    controlsListEl.innerHTML = [0, 1].map(p => `<div class="controls-heading"><span>${versus ? (p ? 'Player 2 (Plush)' : 'Player 1 (Fer)') : `Player ${p + 1}`}</span><span></span></div>` +
+      rowsFor(p).slice(0, versus && p ? 4 : 7).map(([label, k, pd]) => row(versus && p ? plushLabels[label] || label : label, k, pd)).join('')).join('');
+  }
+  function renderBindings() {
+    const b = Input.getBindings(bindingsPlayer);
+    bindTabsEl.querySelectorAll('[data-player]').forEach(t => t.classList.toggle('active', Number(t.dataset.player) === bindingsPlayer));
+    bindingsRowsEl.innerHTML = ACTIONS.map(a => {
+      const chips = b.keys[a].map((k, i) => {
+        const listening = rebinding && rebinding.action === a && rebinding.device === 'keys' && rebinding.slot === i;
+        return `<button class="chip${listening ? ' listening' : ''}" data-action="${a}" data-device="keys" data-slot="${i}">${listening ? '…' : escapeHtml(Input.keyName(k))}</button>`;
+      }).join('');
+      const adding = rebinding && rebinding.action === a && rebinding.device === 'keys' && rebinding.slot === b.keys[a].length;
+      const padListening = rebinding && rebinding.action === a && rebinding.device === 'pad';
+      const padLabel = padListening ? '…' : (b.pad[a].length ? Input.padName(b.pad[a][0]) : '—');
+      return `<div class="bind-row"><span>${ACTION_LABELS[a]}</span><span class="bind-keys">${chips}<button class="chip add${adding ? ' listening' : ''}" data-action="${a}" data-device="keys" data-slot="${b.keys[a].length}">${adding ? '…' : '+'}</button></span>` +
+        `<span><button class="chip pad${padListening ? ' listening' : ''}" data-action="${a}" data-device="pad" data-slot="0">🎮 ${escapeHtml(padLabel)}</button></span></div>`;
+    }).join('');
+    padSlotSelect.value = String(b.gamepad);
+    deadzoneInput.value = String(b.deadzone);
+    deadzoneValueEl.textContent = b.deadzone.toFixed(2);
+  }
+  function finishRebind(message) {
+    rebinding = null;
+    renderBindings();
+    renderControlsList();
+    if (message) showToast(message, 1600);
+  }
+  function onRebindKey(key) {
+    const { action, device, slot } = rebinding;
+    if (key === 'escape') { finishRebind(); return; }
+    if (device !== 'keys') return;
+    if (key === 'backspace' || key === 'delete') {
+      if (slot < Input.getBindings(bindingsPlayer).keys[action].length) Input.unbindKey(bindingsPlayer, action, slot);
+      finishRebind();
+      return;
+    }
+    const stolenFrom = Input.bindKey(bindingsPlayer, action, key, slot);
+    finishRebind(stolenFrom ? `${Input.keyName(key)} moved from ${ACTION_LABELS[stolenFrom]} to ${ACTION_LABELS[action]}` : null);
+  }
+  // Wait for a pad button that wasn't already held when listening started
+  function listenForPadButton() {
+    const player = bindingsPlayer;
+    const initiallyDown = new Set(Input.padButtonsDown(player));
+    const poll = () => {
+      if (!rebinding || rebinding.device !== 'pad') return;
+      const down = Input.padButtonsDown(player);
+      for (const b of [...initiallyDown]) if (!down.includes(b)) initiallyDown.delete(b);
+      const pressed = down.find(b => !initiallyDown.has(b));
+      if (pressed !== undefined) {
+        const { action } = rebinding;
+        const stolenFrom = Input.bindPadButton(player, action, pressed);
+        finishRebind(stolenFrom ? `${Input.padName(pressed)} moved from ${ACTION_LABELS[stolenFrom]} to ${ACTION_LABELS[action]}` : null);
+        return;
+      }
+      requestAnimationFrame(poll);
+    };
+    requestAnimationFrame(poll);
+  }
+  bindingsRowsEl.addEventListener('click', (e) => {
+    const chip = e.target.closest && e.target.closest('[data-action]');
+    if (!chip) return;
+    rebinding = { action: chip.dataset.action, device: chip.dataset.device, slot: Number(chip.dataset.slot) };
+    renderBindings();
+    if (rebinding.device === 'pad') {
+      if (Input.getBindings(bindingsPlayer).gamepad < 0) { showToast('Pick a gamepad for this player first'); finishRebind(); return; }
+      listenForPadButton();
+    }
+  });
+  bindTabsEl.addEventListener('click', (e) => {
+    const tab = e.target.closest && e.target.closest('[data-player]');
+    if (!tab) return;
+    rebinding = null;
+    bindingsPlayer = Number(tab.dataset.player);
+    renderBindings();
+  });
+  padSlotSelect.addEventListener('change', () => {
+    Input.setGamepad(bindingsPlayer, Number(padSlotSelect.value));
+  });
+  controlsBtn.addEventListener('click', () => {
+    const open = bindingsPanel.style.display === 'none';
+    bindingsPanel.style.display = open ? 'block' : 'none';
+    if (open) renderBindings();
+  });
+  closeBindingsBtn.addEventListener('click', () => {
+    rebinding = null;
+    bindingsPanel.style.display = 'none';
+  });
+  resetBindingsBtn.addEventListener('click', () => {
+    Input.resetBindings(bindingsPlayer);
+    finishRebind(`Player ${bindingsPlayer + 1} controls reset to defaults`);
+  });
+  deadzoneInput.addEventListener('input', () => {
+    Input.setDeadzone(bindingsPlayer, Number(deadzoneInput.value));
+    deadzoneValueEl.textContent = Input.getBindings(bindingsPlayer).deadzone.toFixed(2);
   });
+
+  // Egg shop panel
+  let refundArmed = false;
+  function renderShop() {
+    shopEggsEl.textContent = String(eggCount);
+    const upgrades = UPGRADES.map(u => {
+      const level = upgradeLevel(u.id);
+      const maxed = level >= u.prices.length;
+      const pips = '●'.repeat(level) + '○'.repeat(u.prices.length - level);
+      return `<div class="shop-row"><span>${u.icon} ${u.name}</span><span class="desc">${u.desc} <span class="shop-pips">${pips}</span></span>` +
+        `<span class="shop-buttons"><button class="chip" data-upgrade="${u.id}">${maxed ? 'MAX' : `Buy ${u.prices[level]} 🥚`}</button>` +
+        `${level ? `<button class="chip" data-refund="${u.id}" title="Refund the last level">↩</button>` : ''}</span></div>`;
+    });
+    const outfits = COSMETIC_SLOTS.map(slot => {
+      const swatches = COSMETICS[slot].map(c => {
+        const owned = c.price === 0 || profile.owned.includes(`${slot}:${c.id}`);
+        const worn = profile.outfit[slot] === c.id;
+        return `<button class="chip swatch${worn ? ' active' : ''}" data-slot="${slot}" data-cosmetic="${c.id}"><span class="swatch-dot" style="background:${c.color}"></span>${c.name}${owned ? '' : ` ${c.price} 🥚`}</button>`;
+      }).join('');
+      return `<div class="shop-row"><span>${slot === 'dress' ? '👗 Dress' : '👢 Boots'}</span><span class="shop-swatches">${swatches}</span><span></span></div>`;
+    });
+    shopRowsEl.innerHTML = upgrades.concat(outfits).join('');
+    refundAllBtn.textContent = refundArmed ? 'Sure? Refund All' : 'Refund All';
+    refundAllBtn.classList.toggle('armed', refundArmed);
+  }
+  shopRowsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest && e.target.closest('button');
+    if (!btn) return;
+    if (btn.dataset.upgrade) buyUpgrade(btn.dataset.upgrade);
+    else if (btn.dataset.refund) refundUpgrade(btn.dataset.refund);
+    else if (btn.dataset.cosmetic) wearCosmetic(btn.dataset.slot, btn.dataset.cosmetic);
+    refundArmed = false;
+    renderShop();
+  });
+  shopBtn.addEventListener('click', () => {
+    const open = shopPanel.style.display === 'none';
+    shopPanel.style.display = open ? 'block' : 'none';
+    refundArmed = false;
+    if (open) renderShop();
+  });
+  closeShopBtn.addEventListener('click', () => {
+    shopPanel.style.display = 'none';
+  });
+  // Two clicks so a stray tap doesn't undo every purchase
+  refundAllBtn.addEventListener('click', () => {
+    if (refundArmed) refundAll();
+    refundArmed = !refundArmed;
+    renderShop();
+  });
+
+  // Game mode picker (solo / co-op / versus / daily); changing mode starts a fresh run
+  modeSelectEl.addEventListener('click', (e) => {
+    const btn = e.target.closest && e.target.closest('[data-mode]');
+    if (!btn || state.running) return;
+    setMode(btn.dataset.mode);
+  });
+  function setMode(mode) {
+    if (mode !== state.mode) {
+      state.mode = mode;
+      state.waveIndex = 0;
+    }
+    Save.settings().mode = mode;
+    Save.write();
+    modeSelectEl.querySelectorAll('[data-mode]').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+    renderControlsList();
+    syncContinueBtn();
+    renderDailyInfo();
+    // The daily run's arenas are part of the challenge
+    arenaPickerEl.style.display = mode === 'daily' ? 'none' : '';
+    arenaSelect.value = ARENAS.has(Save.settings().arena) ? Save.settings().arena : 'auto';
+    // Everyone plays the daily on Normal; in versus player two is the plush
+    difficultyPickerEl.style.display = mode === 'daily' || mode === 'versus' ? 'none' : '';
+    difficultySelect.value = settingsDifficulty();
+    if (globalBoard.category !== viewedCategory()) fetchGlobalScores(0);
+  }
+  arenaSelect.innerHTML = `<option value="auto">By wave</option>` + [...ARENAS.values()].map(a => `<option value="${a.id}">${escapeHtml(a.name)}</option>`).join('');
+  arenaSelect.addEventListener('change', () => {
+    Save.settings().arena = arenaSelect.value;
+    Save.write();
+  });
+  difficultySelect.innerHTML = Object.entries(DIFFICULTIES).map(([id, d]) => `<option value="${id}">${d.name}</option>`).join('');
+  difficultySelect.addEventListener('change', () => {
+    Save.settings().difficulty = difficultySelect.value;
+    Save.write();
+    if (globalBoard.category !== viewedCategory()) fetchGlobalScores(0);
+  });
+  // Today's challenge under the mode picker: modifiers, whether the scored attempt is still there, time to the next one
+  function renderDailyInfo() {
+    dailyInfoEl.style.display = state.mode === 'daily' ? '' : 'none';
+    if (state.mode !== 'daily') return;
+    const daily = dailyChallenge();
+    const mods = dailyModifierList(daily.modifiers).map(m => `<span class="chip" title="${escapeHtml(m.desc)}">${m.icon} ${escapeHtml(m.name)}</span>`).join('');
+    const done = Save.daily();
+    const status = !dailyScorable() ? 'enemies.json isn\'t loaded, so today\'s runs are practice.'
+      : !done || done.date !== daily.date ? 'One scored attempt today. Make it count!'
+      : done.score === null ? 'Today\'s scored attempt was started but not finished. More runs are practice.'
+        : `Today's score: ${done.score}. More runs are practice.`;
+    const hours = Math.ceil((Date.parse(`${daily.date}T00:00:00Z`) + 864e5 - Date.now()) / 36e5);
+    dailyInfoEl.innerHTML = `<div><strong>Daily Fluff ${daily.date}</strong></div><div class="daily-mods">${mods}</div>` +
+      `<div class="note">${status} New challenge in ${hours}h.</div>`;
+  }
+  setMode(Save.settings().mode);
+
+  // Touch controls: virtual D-pad + action buttons, multi-touch via pointer events.
+  // Each pointer owns one button at a time and can slide between buttons.
+  const touchPointers = new Map(); // pointerId -> the button it holds
+  function touchButtonAt(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const btn = el && el.closest && el.closest('[data-touch]');
+    return btn && touchControlsEl.contains(btn) ? btn : null;
+  }
+  // A button shows pressed while any finger is on it (jump has one on each side, so go by button, not action)
+  function setPointerButton(id, btn) {
+    const prev = touchPointers.get(id) || null;
+    if (prev === btn) return;
+    if (btn) touchPointers.set(id, btn);
+    else touchPointers.delete(id);
+    if (prev) {
+      Input.touchUp(prev.dataset.touch);
+      if (![...touchPointers.values()].includes(prev)) prev.classList.remove('pressed');
+    }
+    if (btn) {
+      if (btn.dataset.touch !== 'pause') Input.touchDown(btn.dataset.touch);
+      else if (state.running) togglePause(); // pause stays outside the sim, like the keyboard
+      btn.classList.add('pressed');
+    }
+  }
+  function releasePointer(e) { if (touchPointers.has(e.pointerId)) setPointerButton(e.pointerId, null); }
+  function enableTouchUi() { document.body.classList.add('touch'); fitCanvas(); }
+  touchControlsEl.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    touchControlsEl.setPointerCapture?.(e.pointerId);
+    setPointerButton(e.pointerId, touchButtonAt(e.clientX, e.clientY));
+  });
+  touchControlsEl.addEventListener('pointermove', (e) => {
+    if (!touchPointers.has(e.pointerId)) return;
+    const btn = touchButtonAt(e.clientX, e.clientY);
+    // Sliding off a button onto empty space keeps it held; only another button takes over
+    if (btn && btn.dataset.touch !== 'pause') setPointerButton(e.pointerId, btn);
+  });
+  touchControlsEl.addEventListener('pointerup', releasePointer);
+  touchControlsEl.addEventListener('pointercancel', releasePointer);
+  touchControlsEl.addEventListener('contextmenu', (e) => e.preventDefault());
+  // Show the buttons on touch-first devices, or as soon as a finger touches a hybrid device
+  if (window.matchMedia('(pointer: coarse)').matches) enableTouchUi();
+  window.addEventListener('pointerdown', (e) => { if (e.pointerType === 'touch') enableTouchUi(); });
+
+  // Scale the canvas to the space left under the top bar, keeping 16:9
+  function fitCanvas() {
+    const touch = document.body.classList.contains('touch');
+    const availW = window.innerWidth - 32;
+    const availH = window.innerHeight - (topBar ? topBar.getBoundingClientRect().height : 0) - (replayBar.style.display === 'none' ? 32 : 80);
+    let scale = Math.min(availW / WIDTH, availH / HEIGHT);
+    if (!touch) scale = Math.min(scale, 1); // desktop keeps crisp 1:1 at most
+    scale = Math.max(scale, 0.25);
+    canvas.style.width = `${Math.floor(WIDTH * scale)}px`;
+    canvas.style.height = `${Math.floor(HEIGHT * scale)}px`;
+  }
+  window.addEventListener('resize', fitCanvas);
+  window.addEventListener('orientationchange', fitCanvas);
+  fitCanvas();
+
+  window.addEventListener('gamepadconnected', (e) => {
+    showToast(`Gamepad connected: ${(e.gamepad && e.gamepad.id || 'controller').slice(0, 32)}`, 1600);
+  });
+  renderControlsList();
+  // Scoreboard names: one per player; co-op entries show as "A & B"
+  function entryNames() {
+    const read = (input, fallback) => (input?.value || fallback).trim().slice(0,16) || fallback;
+    const names = [read(usernameInput, 'Player')];
+    if (state.players.length > 1) names.push(read(usernameInput2, 'Player 2'));
+    return names;
+  }
   if (typeof submitScoreBtn !== 'undefined' && submitScoreBtn) {
     submitScoreBtn.addEventListener('click', () => {
-      const name = (usernameInput?.value || 'Player').trim().slice(0,16) || 'Player';
-      const score = eggCount * 100 + state.waveIndex * 10;
+      const names = entryNames();
+      const name = names.join(' & ');
+      const summary = lastRunSummary;
+      const score = summary ? runScore(summary) : 0;
       const list = readScores();
-      list.push({ name, score, ts: Date.now() });
+      list.push({ name, names, mode: state.mode, category: summary ? scoreCategory(summary) : viewedCategory(), score, ts: Date.now(), waves: summary ? summary.wavesCleared : 0, ...(summary && scoreBreakdown(summary)) });
       writeScores(list);
       renderScores();
     });
   }
   if (typeof globalScoreBtn !== 'undefined' && globalScoreBtn) {
     globalScoreBtn.addEventListener('click', async () => {
-      const name = (usernameInput?.value || 'Player').trim().slice(0,16) || 'Player';
-      const score = eggCount * 100 + state.waveIndex * 10;
       if (!globalProvider) {
         showToast('Global scoreboard not configured');
         return;
       }
-      try {
-        await globalProvider.submit({ name, score, eggs: eggCount, level: state.waveIndex + 1 });
-        await refreshGlobalFromProvider();
-        showToast('Global score submitted');
-      } catch {
-        showToast('Failed to submit global score');
+      const summary = lastRunSummary;
+      const entry = summary && { id: lastRunId, name: entryNames().join(' & '), score: runScore(summary), eggs: runEggs(summary), level: summary.endWave + 1, category: scoreCategory(summary), summary, breakdown: scoreBreakdown(summary) };
+      if (!entry) { showToast('Finish a run first'); return; }
+      const err = validateGlobalEntry(entry);
+      if (err) { showToast(`Can't submit: ${err}`); return; }
+      if (!queueGlobalScore(entry)) { showToast('This run was already submitted'); return; }
+      globalBoard.mine = { id: entry.id, score: entry.score, rank: null };
+      globalScoreBtn.disabled = true;
+      const left = await flushOutbox();
+      globalScoreBtn.disabled = false;
+      if (left) {
+        showToast(navigator.onLine === false ? 'Offline: score saved, it will be sent when you reconnect' : 'Scoreboard unreachable: score saved, retrying soon', 2200);
+        renderScores();
+        return;
       }
+      if (!readOutbox().sent.includes(entry.id)) return; // rejected by the server
+      showToast('Global score submitted');
+      await showMyRank();
     });
   }
 
+  // Replay export / import / playback controls
+  exportReplayBtn.addEventListener('click', () => {
+    if (!lastReplay) { showToast('No replay recorded yet'); return; }
+    downloadJson(`fer-vs-fluff-replay-${lastReplay.seed}.json`, lastReplay);
+  });
+  watchReplayBtn.addEventListener('click', () => replayFileInput.click());
+  replayFileInput.addEventListener('change', async () => {
+    const file = replayFileInput.files && replayFileInput.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    let data = null;
+    try { data = migrateReplay(JSON.parse(await file.text())); } catch {}
+    const err = validateReplay(data);
+    if (err) { showToast(`Can't load replay: ${err}`, 2200); return; }
+    startReplay(data);
+  });
+  replayPauseBtn.addEventListener('click', () => {
+    state.paused = !state.paused;
+    syncReplayBar();
+  });
+  replayStepBtn.addEventListener('click', () => {
+    if (state.replay && state.paused) step();
+    syncReplayBar();
+  });
+  replaySpeedSel.addEventListener('change', () => {
+    if (state.replay) state.replay.speed = Number(replaySpeedSel.value) || 1;
+  });
+  replayExitBtn.addEventListener('click', () => finishReplay('Replay stopped'));
+
   // Mute toggle
   function syncMuteBtn() {
     muteBtn.textContent = AudioEngine.isMuted() ? '🔇' : '🔊';
   }
   muteBtn.addEventListener('click', () => {
     AudioEngine.setMuted(!AudioEngine.isMuted());
+    Save.settings().muted = AudioEngine.isMuted();
+    Save.write();
     syncMuteBtn();
   });
+  AudioEngine.setMuted(Save.settings().muted);
   syncMuteBtn();
 
+  // Save slots panel + save export / import
+  let deleteArmed = -1; // slot waiting for its confirming second click
+  function renderSaves() {
+    saveRowsEl.innerHTML = Save.slots().map((slot, i) => {
+      const active = i === Save.activeIndex();
+      const summary = slot
+        ? `🥚 ${slot.eggs} · Wave ${Math.max(slot.progress.solo, slot.progress.coop) + 1} · ${slot.stats.runs} run${slot.stats.runs === 1 ? '' : 's'} · ${slot.stats.wavesCleared} cleared`
+        : 'Empty';
+      const del = slot ? `<button class="chip${deleteArmed === i ? ' armed' : ''}" data-delete="${i}">${deleteArmed === i ? 'Sure?' : 'Delete'}</button>` : '';
+      return `<div class="shop-row"><span>Slot ${i + 1}</span><span class="desc">${summary}</span>` +
+        `<span class="shop-buttons"><button class="chip${active ? ' active' : ''}" data-load="${i}">${active ? 'Playing' : slot ? 'Load' : 'New'}</button>${del}</span></div>`;
+    }).join('');
+  }
+  // Point the game at the active slot after switching slots or importing
+  function applySave() {
+    profile = Save.slot();
+    state.unlocks = { ...profile.unlocks };
+    state.waveIndex = 0;
+    startBtn.textContent = 'Start';
+    setEggs(profile.eggs);
+    syncContinueBtn();
+    if (shopPanel.style.display !== 'none') renderShop();
+  }
+  saveRowsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest && e.target.closest('button');
+    if (!btn || state.running) return;
+    const i = Number(btn.dataset.load ?? btn.dataset.delete);
+    if (btn.dataset.load !== undefined && i !== Save.activeIndex()) {
+      Save.selectSlot(i);
+      applySave();
+      showToast(`Slot ${i + 1}`);
+    } else if (btn.dataset.delete !== undefined && deleteArmed === i) {
+      Save.clearSlot(i);
+      if (i === Save.activeIndex()) applySave();
+      showToast(`Slot ${i + 1} deleted`);
+    }
+    deleteArmed = btn.dataset.delete !== undefined && deleteArmed !== i ? i : -1;
+    renderSaves();
+  });
+  savesBtn.addEventListener('click', () => {
+    const open = savesPanel.style.display === 'none';
+    savesPanel.style.display = open ? 'block' : 'none';
+    deleteArmed = -1;
+    if (open) renderSaves();
+  });
+  closeSavesBtn.addEventListener('click', () => {
+    savesPanel.style.display = 'none';
+  });
+  exportSaveBtn.addEventListener('click', () => {
+    downloadJson('fer-vs-fluff-save.json', Save.exportData());
+  });
+  importSaveBtn.addEventListener('click', () => saveFileInput.click());
+  saveFileInput.addEventListener('change', async () => {
+    const file = saveFileInput.files && saveFileInput.files[0];
+    saveFileInput.value = '';
+    if (!file || state.running) return;
+    let raw = null;
+    try { raw = JSON.parse(await file.text()); } catch {}
+    const err = Save.importData(raw);
+    if (err) { showToast(`Can't import save: ${err}`, 2200); return; }
+    Input.reloadBindings();
+    AudioEngine.setMuted(Save.settings().muted);
+    syncMuteBtn();
+    setMode(Save.settings().mode);
+    applySave();
+    renderSaves();
+    showToast('Save imported');
+  });
+
   // Autostart music on first interaction
   function kickMusicOnce() {
     AudioEngine.ensureCtx();
-    AudioEngine.playMusic();
+    AudioEngine.playMusic(state.arena ? state.arena.music : undefined);
     window.removeEventListener('pointerdown', kickMusicOnce);
     window.removeEventListener('keydown', kickMusicOnce);
   }
@@ -1074,6 +5299,8 @@ function drawBalloon(x, y) {
 
   // Attempt to load global scoreboard provider (no login required if using public anon key)
   loadGlobalProvider();
+  loadRoster();
+  loadSprites();
 
   // Initial overlay content
   overlay.querySelector('h1').textContent = 'Fer vs. Fluff';
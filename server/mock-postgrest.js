@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+// Local stand-in for the Supabase (PostgREST) endpoints the global scoreboard client uses, for testing
+// without a real project. Scores live in memory and are gone when it stops. No dependencies.
+//
+//   node server/mock-postgrest.js [--port 8787] [--key anon] [--fail 0.3] [--latency 500] [--seed 40]
+//
+//   --key      anon key clients must send (apikey header); omit to accept any
+//   --fail     fraction of requests answered with 503, to exercise the client's retry queue
+//   --latency  delay before every response, in ms
+//   --seed     start with this many made-up scores, to have something to page through
+//
+// Point scoreboard_config.json at it:
+//   { "provider": "supabase", "supabaseUrl": "http://localhost:8787", "supabaseAnonKey": "anon", "table": "scores" }
+'use strict';
+const http = require('http');
+
+const args = {};
+for (let i = 2; i < process.argv.length; i++) {
+  const m = /^--(\w+)$/.exec(process.argv[i]);
+  if (m) args[m[1]] = process.argv[++i];
+}
+const PORT = Number(args.port) || 8787;
+const KEY = args.key || null;
+const FAIL_RATE = Number(args.fail) || 0;
+const LATENCY_MS = Number(args.latency) || 0;
+
+const tables = new Map(); // name -> rows
+let nextId = 1;
+const rowsOf = name => tables.get(name) || tables.set(name, []).get(name);
+function insert(table, row) {
+  const full = { id: nextId++, created_at: new Date().toISOString(), flagged: false, category: 'waves', ...row };
+  rowsOf(table).push(full);
+  return full;
+}
+for (let i = 0; i < (Number(args.seed) || 0); i++) {
+  insert('scores', { submission_id: `seed-${i}`, name: `Fer fan ${i + 1}`, score: (i * 7919) % 2000 + 10, eggs: i % 20, level: i % 9 + 1 });
+}
+
+// The subset of PostgREST filters the client sends: col=op.value
+const OPS = {
+  eq: (a, b) => String(a) === b,
+  gt: (a, b) => a > Number(b),
+  gte: (a, b) => a >= Number(b),
+  lt: (a, b) => a < Number(b),
+  lte: (a, b) => a <= Number(b),
+  is: (a, b) => String(a ?? null) === b
+};
+const RESERVED = new Set(['select', 'order', 'limit', 'offset', 'on_conflict']);
+
+function query(rows, params) {
+  let out = rows.filter(row => [...params].every(([col, expr]) => {
+    if (RESERVED.has(col)) return true;
+    const [op, ...rest] = expr.split('.');
+    return OPS[op] ? OPS[op](row[col], rest.join('.')) : true;
+  }));
+  const order = params.get('order');
+  if (order) {
+    const keys = order.split(',').map(k => k.split('.'));
+    out = out.slice().sort((a, b) => {
+      for (const [col, dir] of keys) {
+        if (a[col] === b[col]) continue;
+        return (a[col] < b[col] ? -1 : 1) * (dir === 'desc' ? -1 : 1);
+      }
+      return 0;
+    });
+  }
+  return out;
+}
+
+// Mirrors the table checks suggested in the README
+function checkRow(row) {
+  if (!row || typeof row !== 'object') return 'row must be an object';
+  if (typeof row.name !== 'string' || !row.name.trim() || row.name.length > 40) return 'name must be 1-40 characters';
+  if (!Number.isInteger(row.score) || row.score < 0) return 'score must be a non-negative integer';
+  return null;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'apikey, authorization, content-type, accept, prefer',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Expose-Headers': 'Content-Range',
+    ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+    ...headers
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function handle(req, res, raw) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const m = /^\/rest\/v1\/(\w+)$/.exec(url.pathname);
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (!m) return send(res, 404, { message: 'not found' });
+  if (KEY && req.headers.apikey !== KEY) return send(res, 401, { message: 'Invalid API key' });
+  if (Math.random() < FAIL_RATE) return send(res, 503, { message: 'simulated outage' });
+  const table = m[1];
+  const prefer = String(req.headers.prefer || '');
+
+  if (req.method === 'GET') {
+    const rows = query(rowsOf(table), url.searchParams);
+    const offset = Number(url.searchParams.get('offset')) || 0;
+    const limit = url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : rows.length;
+    const page = rows.slice(offset, offset + limit);
+    const cols = (url.searchParams.get('select') || '*').split(',');
+    const body = page.map(r => (cols[0] === '*' ? r : Object.fromEntries(cols.map(c => [c, r[c] ?? null]))));
+    const range = page.length ? `${offset}-${offset + page.length - 1}` : '*';
+    return send(res, 200, body, { 'Content-Range': `${range}/${prefer.includes('count=exact') ? rows.length : '*'}` });
+  }
+
+  if (req.method === 'POST') {
+    let payload;
+    try { payload = JSON.parse(raw); } catch { return send(res, 400, { code: 'PGRST102', message: 'invalid JSON body' }); }
+    const incoming = Array.isArray(payload) ? payload : [payload];
+    for (const row of incoming) {
+      const problem = checkRow(row);
+      if (problem) return send(res, 400, { code: '23514', message: problem });
+    }
+    const conflict = url.searchParams.get('on_conflict');
+    const created = [];
+    for (const row of incoming) {
+      const dupe = conflict && row[conflict] != null && rowsOf(table).some(r => r[conflict] === row[conflict]);
+      if (dupe && prefer.includes('resolution=ignore-duplicates')) continue;
+      if (dupe) return send(res, 409, { code: '23505', message: `duplicate key value violates unique constraint on ${conflict}` });
+      created.push(insert(table, row));
+    }
+    return prefer.includes('return=representation') ? send(res, 201, created) : send(res, 201);
+  }
+
+  send(res, 405, { message: 'method not allowed' });
+}
+
+http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    setTimeout(() => {
+      handle(req, res, raw);
+      console.log(`${req.method} ${req.url} -> ${res.statusCode}`);
+    }, LATENCY_MS);
+  });
+}).listen(PORT, () => console.log(`Mock scoreboard on http://localhost:${PORT}/rest/v1/<table>`));
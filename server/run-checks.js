@@ -0,0 +1,162 @@
+// Plausibility checks for the run summaries the game submits with each global score.
+//
+// A browser game can't keep a signing secret, so nothing the client sends is trusted as-is. Instead the score
+// must follow from the summary (see runScore in script.js), and the summary must describe a run a person could
+// have played: consistent waves, enough damage dealt to clear each one, no superhuman damage rates, no wave
+// cleared faster than enemies can be worn down, combo, bomb and dodge points that the hits and time allow, and
+// the Fers actually going down at the end. Daily Fluff runs must be the day's run: its seed, from wave one, no
+// shop upgrades, on Normal, filed under that day's category and sent while the day is recent. Survival runs are
+// one long "wave" from the start, scored by whole seconds survived. Easy and Hard runs are filed under their own
+// categories (waves-easy, survival-hard, ...); summaries without a difficulty are Normal.
+//
+// checkRun(entry) returns a list of reasons the run looks wrong; an empty list means it passes.
+// If the player's replay file is at hand, checkReplay(summary, replay) confirms it is the run that was summarized.
+'use strict';
+
+const SUMMARY_VERSION = 2;
+const STEP_MS = 1000 / 60;
+const LIMITS = {
+  // Fighters can't be hurt again for 300ms (18 ticks) after a hit, and the hardest hit (a fully charged giant
+  // flower) does 54, so one plush loses at most 3 health per tick. Allow for a few hit at once by bombs.
+  maxDamagePerTick: 8,
+  minWaveTicks: 60, // even the weakest plush takes about a second to wear down
+  minHealthPerFer: 100, // the run ends when every Fer is down, so each lost at least their (base) max health
+  maxTicks: 6 * 60 * 60 * 60, // six hours
+  // A Fer fires at most three hearts every 180ms (fully upgraded kiss) plus a flower every 800ms, and specials
+  // (a five-heart burst, a six-flower bloom) and reflected puffs come on top
+  maxHitsPerTick: 0.45,
+  minBombTicks: 144, // bomb cooldown (2400ms)
+  maxBombTargets: 4, // a boss and its minions
+  minDodgeTicks: 20, // puffs come one or two per shot, a shot every 1.2s or more per plush
+  dailyGraceMs: 2 * 24 * 60 * 60 * 1000 // a daily score can sit in an offline outbox for a while
+};
+
+// Must match SCORING in script.js
+const SCORING = { clear: 100, noDamage: 200, timeMax: 300, parTicksPerHealth: 8, hit: 10, comboStep: 0.1, comboMaxMult: 3, bombExtra: 50, dodge: 25 };
+
+// Must match hashString in script.js
+function hashString(str) {
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+function clearBonuses(w) {
+  const par = w.enemyHealth * SCORING.parTicksPerHealth;
+  return {
+    clear: SCORING.clear,
+    noDamage: w.damageTaken ? 0 : SCORING.noDamage,
+    time: Math.max(0, Math.round(SCORING.timeMax * (1 - w.ticks / par)))
+  };
+}
+function wavePoints(w, cleared) {
+  const bonus = cleared ? clearBonuses(w) : null;
+  return w.comboPoints + w.bombPoints + w.dodges * SCORING.dodge + (bonus ? bonus.clear + bonus.noDamage + bonus.time : 0);
+}
+// Must match dailySeed in script.js
+const dailySeed = date => parseInt(hashString(`daily-${date}`).slice(-8), 16) >>> 0;
+
+const DIFFICULTIES = ['easy', 'normal', 'hard'];
+const survival = s => s.mode === 'survival';
+// Must match runScore and runEggs in script.js
+const runScore = s => (survival(s) ? Math.floor(s.waves[0].ticks / 60) : s.waves.reduce((sum, w, i) => sum + wavePoints(w, i < s.wavesCleared), 0));
+const runEggs = s => (survival(s) ? Math.floor(s.waves[0].ticks / 3600) : s.wavesCleared);
+// The headline numbers kept with a score (as the game stores them)
+function scoreBreakdown(s) {
+  const cleared = s.waves.slice(0, s.wavesCleared);
+  return {
+    bestCombo: Math.max(0, ...s.waves.map(w => w.bestCombo)),
+    noDamageClears: cleared.filter(w => clearBonuses(w).noDamage).length,
+    timeBonus: cleared.reduce((sum, w) => sum + clearBonuses(w).time, 0),
+    bombPoints: s.waves.reduce((sum, w) => sum + w.bombPoints, 0),
+    dodges: s.waves.reduce((sum, w) => sum + w.dodges, 0)
+  };
+}
+const count = v => Number.isInteger(v) && v >= 0;
+const WAVE_FIELDS = ['wave', 'ticks', 'enemyHealth', 'damageDealt', 'damageTaken', 'kills', 'hits', 'bestCombo', 'comboPoints', 'bombPoints', 'dodges'];
+
+function checkRun(entry, now = Date.now()) {
+  const s = entry.summary;
+  if (!s || typeof s !== 'object') return ['no run summary'];
+  if (s.version !== SUMMARY_VERSION) return [`unknown summary version ${s.version}`];
+  const bad = ['seed', 'players', 'startWave', 'endWave', 'wavesCleared', 'ticks', 'durationMs'].filter(k => !count(s[k]));
+  if (bad.length) return [`summary fields not counts: ${bad.join(', ')}`];
+  if (!Array.isArray(s.waves) || !s.waves.every(w => w && WAVE_FIELDS.every(k => count(w[k])))) {
+    return ['malformed per-wave stats'];
+  }
+  if (typeof s.inputHash !== 'string' || !/^[0-9a-f]{1,14}$/.test(s.inputHash)) return ['missing input hash'];
+
+  const reasons = [];
+  const flag = reason => reasons.push(reason);
+  // The score and the other submitted numbers must follow from the summary
+  if (entry.score !== runScore(s)) flag(`score ${entry.score} doesn't match the summary (${runScore(s)})`);
+  if (entry.eggs !== runEggs(s)) flag('eggs don\'t match the run');
+  if (entry.level !== s.endWave + 1) flag('level doesn\'t match the last wave');
+  if ({ solo: 1, coop: 2, daily: 1, survival: 1 }[s.mode] !== s.players) flag(`mode ${s.mode} with ${s.players} players`);
+  const difficulty = s.difficulty ?? 'normal';
+  if (!DIFFICULTIES.includes(difficulty)) flag(`unknown difficulty ${difficulty}`);
+  const category = entry.category || 'waves';
+  if (s.mode === 'daily') {
+    const day = typeof s.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s.date) ? Date.parse(`${s.date}T00:00:00Z`) : NaN;
+    if (Number.isNaN(day)) flag('daily run without a date');
+    else {
+      if (s.seed !== dailySeed(s.date)) flag('seed isn\'t the day\'s seed');
+      if (category !== `daily-${s.date}`) flag(`daily run filed under ${category}`);
+      if (now < day - 24 * 60 * 60 * 1000 || now > day + LIMITS.dailyGraceMs) flag(`daily run for ${s.date} sent on another day`);
+    }
+    if (s.startWave !== 0) flag('daily run didn\'t start at wave one');
+    if (s.upgrades && Object.values(s.upgrades).some(Boolean)) flag('daily run with shop upgrades');
+    if (difficulty !== 'normal') flag(`daily run on ${difficulty}`);
+  } else if (category !== (survival(s) ? 'survival' : 'waves') + (difficulty === 'normal' ? '' : `-${difficulty}`)) {
+    flag(`${s.mode} run filed under ${category}`);
+  }
+  if (survival(s) && (s.startWave !== 0 || s.wavesCleared !== 0)) flag('survival run with waves');
+  // Waves: consecutive from the start wave, all cleared but the last
+  if (s.endWave - s.startWave !== s.wavesCleared) flag('waves cleared don\'t span start to end wave');
+  if (s.waves.length !== s.wavesCleared + 1) flag(`${s.waves.length} waves of stats for ${s.wavesCleared + 1} waves played`);
+  if (s.waves.some((w, i) => w.wave !== s.startWave + i)) flag('waves out of order');
+  // Time
+  if (s.ticks > LIMITS.maxTicks) flag('run longer than the limit');
+  if (Math.abs(s.durationMs - s.ticks * STEP_MS) > 1000) flag('duration doesn\'t match tick count');
+  if (s.waves.reduce((sum, w) => sum + w.ticks, 0) > s.ticks) flag('wave times add up to more than the run');
+  let hitsSoFar = 0; // combos carry over from wave to wave
+  s.waves.forEach((w, i) => {
+    const cleared = i < s.wavesCleared;
+    if (cleared && w.ticks < LIMITS.minWaveTicks) flag(`wave ${w.wave + 1} cleared in ${w.ticks} ticks`);
+    if (cleared && w.damageDealt < w.enemyHealth) flag(`wave ${w.wave + 1} cleared with ${w.damageDealt} of ${w.enemyHealth} damage`);
+    if (cleared && w.kills < 1) flag(`wave ${w.wave + 1} cleared without a kill`);
+    if (w.damageDealt > Math.max(w.ticks, 1) * LIMITS.maxDamagePerTick * s.players) flag(`wave ${w.wave + 1}: ${w.damageDealt} damage in ${w.ticks} ticks`);
+    // Scoring: every hit did damage, combo points sit between the plain and the top multiplier, bombs and
+    // dodges no more often than they can come
+    if (w.hits > w.damageDealt || w.hits > Math.max(w.ticks, 1) * LIMITS.maxHitsPerTick * s.players) flag(`wave ${w.wave + 1}: ${w.hits} hits`);
+    hitsSoFar += w.hits;
+    if (w.bestCombo > hitsSoFar || (w.hits && !w.bestCombo)) flag(`wave ${w.wave + 1}: combo x${w.bestCombo} from ${w.hits} hits`);
+    if (w.comboPoints < w.hits * SCORING.hit || w.comboPoints > w.hits * SCORING.hit * SCORING.comboMaxMult) flag(`wave ${w.wave + 1}: ${w.comboPoints} combo points for ${w.hits} hits`);
+    const bombs = Math.floor(w.ticks / LIMITS.minBombTicks + 1) * s.players;
+    if (w.bombPoints % SCORING.bombExtra || w.bombPoints > bombs * (LIMITS.maxBombTargets - 1) * SCORING.bombExtra) flag(`wave ${w.wave + 1}: ${w.bombPoints} bomb points`);
+    if (w.dodges > Math.floor(w.ticks / LIMITS.minDodgeTicks) * s.players) flag(`wave ${w.wave + 1}: ${w.dodges} dodges in ${w.ticks} ticks`);
+  });
+  // The run ended with every Fer down
+  const taken = s.waves.reduce((sum, w) => sum + w.damageTaken, 0);
+  if (taken < LIMITS.minHealthPerFer * s.players) flag(`run ended having taken only ${taken} damage`);
+  return reasons;
+}
+
+// replay: the exported replay file of the same run
+function checkReplay(summary, replay) {
+  const reasons = [];
+  if (!replay || !Array.isArray(replay.inputs)) return ['not a replay'];
+  if (replay.seed !== summary.seed) reasons.push('replay seed differs');
+  if (replay.ticks !== summary.ticks) reasons.push('replay length differs');
+  if (replay.wave !== summary.startWave) reasons.push('replay starts on another wave');
+  if (hashString(JSON.stringify(replay.inputs)) !== summary.inputHash) reasons.push('replay inputs don\'t match the input hash');
+  return reasons;
+}
+
+module.exports = { checkRun, checkReplay, runScore, scoreBreakdown, hashString, dailySeed, LIMITS, SCORING, SUMMARY_VERSION };
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+// Minimal self-hosted scoreboard for Fer vs. Fluff (the "node" provider). Scores are kept in a JSON file,
+// so it survives restarts with nothing else to install.
+//
+//   node server/scoreboard-server.js [--port 8788] [--data scores.json] [--origin https://your.site]
+//                                    [--secret s3cret] [--admin-token t0ken]
+//
+//   --data         file to keep scores in (created if missing)
+//   --origin       allowed CORS origin; defaults to any
+//   --secret       signs every stored score; rows whose signature no longer matches (the file was edited) are flagged
+//   --admin-token  enables GET /scores/flagged for reviewing flagged runs
+//
+// Every submission carries a run summary, checked by run-checks.js. Runs that fail are stored flagged, with the
+// reasons, and left off the board and out of ranks. Passing runs keep a score breakdown worked out from the summary.
+//
+// Endpoints (the REST provider's defaults):
+//   POST /scores                       { id, name, score, eggs, level, category, summary } -> 201, 202 if flagged,
+//                                      or 200 if that id was already stored
+//   GET  /scores?offset=0&limit=10&category=waves
+//                                      -> { rows: [{ id, name, score, eggs, level, category, ts, breakdown }], total }, best first
+//   GET  /scores/rank?score=1234&category=waves  -> { rank, total }
+//
+// category is 'waves' for regular runs (the default), 'survival' for Survival or 'daily-YYYY-MM-DD' for that day's Daily Fluff.
+// Easy and Hard runs add the difficulty: 'waves-easy', 'survival-hard'.
+//   GET  /scores/flagged               -> { rows: [{ ..., reasons }] } (Authorization: Bearer <admin token>)
+//
+// scoreboard_config.json: { "provider": "node", "url": "http://localhost:8788" }
+'use strict';
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { checkRun, scoreBreakdown } = require('./run-checks');
+
+const args = {};
+for (let i = 2; i < process.argv.length; i++) {
+  const m = /^--([\w-]+)$/.exec(process.argv[i]);
+  if (m) args[m[1]] = process.argv[++i];
+}
+const PORT = Number(args.port) || 8788;
+const DATA_FILE = path.resolve(args.data || 'scores.json');
+const ORIGIN = args.origin || '*';
+const SECRET = args.secret || null;
+const ADMIN_TOKEN = args['admin-token'] || null;
+const MAX_BODY = 64 * 1024; // a run summary grows by about 200 bytes a wave
+const MAX_PAGE = 100;
+
+// Storage: the whole board in memory, written back to disk after every change (write + rename, so a crash
+// mid-write can't leave half a file). Writes are chained so they land in order.
+let scores = [];
+try {
+  const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  if (Array.isArray(saved)) scores = saved;
+} catch (err) {
+  if (err.code !== 'ENOENT') { console.error(`Can't read ${DATA_FILE}: ${err.message}`); process.exit(1); }
+}
+const byRank = (a, b) => b.score - a.score || a.ts - b.ts;
+const sign = row => crypto.createHmac('sha256', SECRET).update([row.id, row.name, row.score, row.ts, row.summary?.inputHash].join('|')).digest('hex');
+if (SECRET) {
+  for (const row of scores) {
+    if (row.flagged || row.sig === sign(row)) continue;
+    row.flagged = true;
+    row.reasons = [...(row.reasons || []), 'signature mismatch (edited data file?)'];
+  }
+}
+scores.sort(byRank);
+const board = category => scores.filter(s => !s.flagged && (s.category || 'waves') === category);
+const categoryOf = url => url.searchParams.get('category') || 'waves';
+let writing = Promise.resolve();
+function persist() {
+  const data = JSON.stringify(scores);
+  writing = writing.then(async () => {
+    const tmp = `${DATA_FILE}.tmp`;
+    await fs.promises.writeFile(tmp, data);
+    await fs.promises.rename(tmp, DATA_FILE);
+  }).catch(err => console.error(`Saving scores failed: ${err.message}`));
+}
+
+// Returns what's wrong with a submission, or null
+function checkEntry(e) {
+  if (!e || typeof e !== 'object') return 'body must be a JSON object';
+  if (typeof e.id !== 'string' || !/^[\w-]{1,64}$/.test(e.id)) return 'id must be 1-64 letters, digits, _ or -';
+  if (typeof e.name !== 'string' || !e.name.trim() || e.name.length > 40) return 'name must be 1-40 characters';
+  if (!Number.isInteger(e.score) || e.score < 0 || e.score > 1e9) return 'score must be a non-negative integer';
+  if (!Number.isInteger(e.eggs) || e.eggs < 0) return 'eggs must be a non-negative integer';
+  if (!Number.isInteger(e.level) || e.level < 1) return 'level must be a positive integer';
+  if (e.category !== undefined && (typeof e.category !== 'string' || !/^[\w-]{1,32}$/.test(e.category))) return 'category must be 1-32 letters, digits, _ or -';
+  if (!e.summary || typeof e.summary !== 'object') return 'summary must be an object';
+  return null;
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': ORIGIN,
+    'Access-Control-Allow-Headers': 'content-type, accept, authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    ...(body === undefined ? {} : { 'Content-Type': 'application/json' })
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+const toRow = ({ id, name, score, eggs, level, category = 'waves', ts, breakdown }) => ({ id, name, score, eggs, level, category, ts, breakdown });
+
+function handle(req, res, raw) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+
+  if (req.method === 'POST' && url.pathname === '/scores') {
+    let entry;
+    try { entry = JSON.parse(raw); } catch { return send(res, 400, { error: 'body is not valid JSON' }); }
+    const problem = checkEntry(entry);
+    if (problem) return send(res, 400, { error: problem });
+    if (scores.some(s => s.id === entry.id)) return send(res, 200, { duplicate: true });
+    const reasons = checkRun(entry);
+    // The breakdown is worked out here rather than taken from the client
+    const row = { ...toRow(entry), name: entry.name.trim(), ts: Date.now(), summary: entry.summary, breakdown: reasons.length ? null : scoreBreakdown(entry.summary) };
+    if (reasons.length) Object.assign(row, { flagged: true, reasons });
+    if (SECRET) row.sig = sign(row);
+    scores.push(row);
+    scores.sort(byRank);
+    persist();
+    if (reasons.length) console.log(`Flagged ${row.id} (${row.name}, ${row.score}): ${reasons.join('; ')}`);
+    return send(res, reasons.length ? 202 : 201, reasons.length ? { flagged: true } : toRow(row));
+  }
+
+  if (req.method === 'GET' && url.pathname === '/scores') {
+    const offset = Math.max(0, parseInt(url.searchParams.get('offset'), 10) || 0);
+    const limit = Math.min(MAX_PAGE, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 10));
+    const rows = board(categoryOf(url));
+    return send(res, 200, { rows: rows.slice(offset, offset + limit).map(toRow), total: rows.length });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/scores/rank') {
+    const score = Number(url.searchParams.get('score'));
+    if (!Number.isFinite(score)) return send(res, 400, { error: 'score must be a number' });
+    const rows = board(categoryOf(url));
+    return send(res, 200, { rank: rows.filter(s => s.score > score).length + 1, total: rows.length });
+  }
+
+  if (req.method === 'GET' && url.pathname === '/scores/flagged' && ADMIN_TOKEN) {
+    if (req.headers.authorization !== `Bearer ${ADMIN_TOKEN}`) return send(res, 401, { error: 'admin token required' });
+    return send(res, 200, { rows: scores.filter(s => s.flagged).map(s => ({ ...toRow(s), reasons: s.reasons, summary: s.summary })) });
+  }
+
+  send(res, 404, { error: 'not found' });
+}
+
+http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+    if (raw.length > MAX_BODY) { send(res, 413, { error: 'body too large' }); req.destroy(); }
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    try { handle(req, res, raw); } catch (err) { console.error(err); send(res, 500, { error: 'internal error' }); }
+  });
+}).listen(PORT, () => console.log(`Scoreboard on http://localhost:${PORT} (data: ${DATA_FILE})`));